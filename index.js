@@ -1,15 +1,32 @@
 #!/usr/bin/env node
 
-import { config } from 'dotenv';
-import { readdir } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+// Load environment variables from .env file before any module reads process.env
+import 'dotenv/config';
+import { startDaemon } from './utils/daemon.js';
+import { loadTaskGroups, runTaskPipeline } from './utils/taskGraph.js';
+import { listTaskNames, loadTaskModule, getTaskMetadata } from './utils/taskCatalog.js';
+import { getSyncRecord, importJsonSyncRecords, addSyncHistoryEntry, isStaleSyncRun } from './utils/syncTracker.js';
+import { getOverlapMs } from './utils/syncWatermark.js';
+import { isIncrementalRun } from './utils/syncOptions.js';
+import { getFieldMapping } from './utils/fieldTransformer.js';
+import { acquireTaskLock } from './utils/taskLock.js';
+import { EXIT_CODES, getExitCode, getPipelineExitCode } from './utils/exitCodes.js';
+import { buildTaskResult, writeTaskResult, countPortalFailures } from './utils/taskResult.js';
+import { ConfigurationError, TaskTimeoutError, TaskInterruptedError } from './utils/errors.js';
+import { startTaskRun, finishTaskRun, getTaskRuns } from './utils/taskRuns.js';
+import { runWithContext } from './utils/runContext.js';
+import { createRateLimitStats } from './utils/rateLimiter.js';
+import { runBackfill } from './utils/backfill.js';
+import { retryDeadLetters } from './utils/deadLetters.js';
+import { runDeadLetterCommand } from './utils/manageDeadLetters.js';
+import { installShutdownHandlers, onShutdown, getShutdownSignal, registerRun, waitForActiveRuns } from './utils/shutdown.js';
+import { closePool } from './utils/database.js';
+import { randomUUID } from 'crypto';
+import { parseTaskArgs, getOptionHelp } from './utils/cliArgs.js';
+import Logger from './utils/logger.js';
 
-// Load environment variables from .env file
-config();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Run timeout when neither --timeout nor the task's metadata sets one
+const DEFAULT_TASK_TIMEOUT_MS = parseInt(process.env.TASK_TIMEOUT_MS) || 30 * 60 * 1000;
 
 /**
  * Main entry point for the NCDEX Scheduler Utility
@@ -25,12 +42,145 @@ async function main() {
         return;
     }
 
+    // Options such as --since/--ids are passed through to every task that runs
+    let positional;
+    let options;
     try {
-        await executeTask(taskName);
+        ({ positional, options } = parseTaskArgs(args.slice(1)));
     } catch (error) {
-        console.error(`❌ Error executing task '${taskName}':`, error.message);
-        process.exit(1);
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.CONFIG_ERROR);
+    }
+
+    if (taskName === 'help') {
+        await showHelp();
+        return;
+    }
+
+    if (taskName === 'describe') {
+        try {
+            await describeTask(positional[0]);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    if (taskName === 'runs') {
+        try {
+            await showTaskRuns(positional[0], options);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    if (taskName === 'sync-import') {
+        try {
+            await importSyncState(positional[0]);
+            await exitProcess(EXIT_CODES.SUCCESS);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            await closePool();
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    if (taskName === 'dlq') {
+        try {
+            const outcome = await runDeadLetterCommand(positional[0], positional[1], options);
+            let exitCode = EXIT_CODES.SUCCESS;
+            if (outcome.locked.length > 0) {
+                exitCode = EXIT_CODES.LOCKED;
+            } else if (outcome.failed > 0) {
+                exitCode = EXIT_CODES.PARTIAL_SUCCESS;
+            }
+            await exitProcess(exitCode);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            await closePool();
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    // SIGINT/SIGTERM stop running tasks at their next safe point (see utils/shutdown.js)
+    installShutdownHandlers();
+
+    // Long-running mode: run tasks on their cron schedules
+    if (taskName === 'daemon') {
+        try {
+            const daemon = await startDaemon(executeTask, { configPath: positional[0] });
+            onShutdown(async () => {
+                daemon.stop();
+                console.log('⏳ Scheduler stopped - waiting for running tasks to finish...');
+                await waitForActiveRuns();
+                await exitProcess(EXIT_CODES.SUCCESS);
+            });
+        } catch (error) {
+            console.error('❌ Failed to start scheduler daemon:', error.message);
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    // Backfill mode: run a task once per date window, resuming saved progress
+    if (taskName === 'backfill') {
+        try {
+            const { json: printJson = false, ...backfillOptions } = options;
+            const { progress, results } = await runBackfill(positional[0], backfillOptions, executeTask);
+            if (printJson) {
+                console.log(JSON.stringify(progress, null, 2));
+            }
+            await exitProcess(getPipelineExitCode(results.map(result => result.status)));
+        } catch (error) {
+            console.error(`❌ Error executing backfill:`, error.message);
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    // Pipeline mode: run several tasks in dependency order
+    if (taskName === 'run-all' || taskName === 'run-group') {
+        try {
+            const results = await executePipeline(taskName, positional[0], options);
+            await exitProcess(getPipelineExitCode(results.map(result => result.status)));
+        } catch (error) {
+            console.error(`❌ Error executing ${taskName}:`, error.message);
+            process.exit(error instanceof ConfigurationError ? EXIT_CODES.CONFIG_ERROR : EXIT_CODES.FAILURE);
+        }
+        return;
+    }
+
+    const result = await executeTask(taskName, options);
+    await exitProcess(getExitCode(result.status));
+}
+
+/**
+ * Close the database pool and exit the process
+ * @param {number} exitCode - Process exit code
+ */
+async function exitProcess(exitCode) {
+    await closePool();
+    process.exit(exitCode);
+}
+
+/**
+ * Format the sync tracker state of a task for display
+ * @param {Object|null} syncRecord - Sync record from the sync tracker
+ * @returns {string} Watermark and status summary
+ */
+function formatSyncState(syncRecord) {
+    if (!syncRecord) {
+        return 'No sync record';
     }
+
+    const lastSync = syncRecord.last_sync_at ? new Date(syncRecord.last_sync_at).toLocaleString() : 'Never';
+    const stale = isStaleSyncRun(syncRecord) ? ` (stale - started ${syncRecord.started_at || 'at an unknown time'})` : '';
+    return `Last sync: ${lastSync} | Status: ${syncRecord.status || 'unknown'}${stale}`;
 }
 
 /**
@@ -41,81 +191,418 @@ async function showHelp() {
     console.log('==========================\n');
     
     try {
-        const tasksDir = join(__dirname, 'tasks');
-        const files = await readdir(tasksDir);
-        const taskFiles = files.filter(file => file.endsWith('.js'));
+        const taskNames = await listTaskNames();
         
-        if (taskFiles.length === 0) {
+        if (taskNames.length === 0) {
             console.log('No tasks found in the /tasks directory.');
             return;
         }
 
         console.log('Available tasks:');
-        taskFiles.forEach(file => {
-            const taskName = file.replace('.js', '');
+        for (const taskName of taskNames) {
+            const metadata = await getTaskMetadata(taskName);
+            const syncRecord = metadata.syncModule ? await getSyncRecord(metadata.syncModule) : null;
+
             console.log(`  • ${taskName}`);
-        });
+            if (metadata.description) {
+                console.log(`      ${metadata.description}`);
+            }
+            if (metadata.syncModule) {
+                console.log(`      ${metadata.syncModule}: ${formatSyncState(syncRecord)}`);
+            }
+        }
 
         console.log('\nUsage:');
-        console.log('  node index.js <taskName>');
+        console.log('  node index.js <taskName> [options]');
+        console.log('  node index.js describe <taskName>');
+        console.log('  node index.js runs [taskName] [--last n] [--json]');
+        console.log('  node index.js sync-import [jsonSyncFile]');
+        console.log('  node index.js dlq list|show|replay|discard [entryId|sugarId] [--module <name>]');
+        console.log('  node index.js run-all [options]');
+        console.log('  node index.js run-group <groupName> [options]');
+        console.log('  node index.js backfill <taskName> --since <date> [--until <date>] [--window day|week|month] [--date-field field] [--pace <seconds>] [--restart]');
+        console.log('  node index.js daemon [scheduleConfigPath]');
         console.log('  npm start <taskName>');
         console.log('  npm run dev <taskName>');
+
+        console.log('\nOptions:');
+        getOptionHelp().forEach(line => console.log(`  ${line}`));
         
         console.log('\nExamples:');
-        console.log('  node index.js fetchData');
-        console.log('  node index.js cleanTempFiles');
+        console.log(`  node index.js ${taskNames[0]}`);
+        console.log(`  node index.js describe ${taskNames[0]}`);
+        console.log(`  node index.js ${taskNames[0]} --since 2025-10-01 --dry-run`);
+        console.log('  node index.js run-all');
         
     } catch (error) {
         console.error('Error reading tasks directory:', error.message);
     }
 }
 
+/**
+ * Shows the metadata, field mapping and sync state of a single task
+ * @param {string} taskName - The name of the task to describe
+ */
+async function describeTask(taskName) {
+    if (!taskName) {
+        throw new ConfigurationError('Usage: node index.js describe <taskName>');
+    }
+
+    const metadata = await getTaskMetadata(taskName);
+    const syncRecord = metadata.syncModule ? await getSyncRecord(metadata.syncModule) : null;
+
+    console.log(`📄 Task: ${taskName}`);
+    console.log('─'.repeat(50));
+    console.log(`  Description: ${metadata.description || 'N/A'}`);
+    console.log(`  SugarCRM module: ${metadata.sugarModule || 'N/A'}`);
+    console.log(`  Portal endpoint: ${metadata.portalEndpoint || 'N/A'}`);
+    console.log(`  Field mapping: ${metadata.mappingKey || 'N/A'}`);
+    console.log(`  Dependencies: ${metadata.dependencies.length > 0 ? metadata.dependencies.join(', ') : 'None'}`);
+
+    if (metadata.mappingKey) {
+        const mapping = await getFieldMapping(metadata.mappingKey);
+        console.log('\n🔀 Field mappings (SugarCRM → Portal):');
+        Object.entries(mapping.field_mappings).forEach(([sugarcrmField, config]) => {
+            const required = config.required ? ' (required)' : '';
+            console.log(`    ${sugarcrmField} → ${config.portal_field} [${config.transform}]${required}`);
+        });
+    }
+
+    console.log('\n🗂️  Sync tracker:');
+    if (!metadata.syncModule) {
+        console.log('    This task does not use the sync tracker');
+    } else if (!syncRecord) {
+        console.log(`    Module: ${metadata.syncModule} (no sync record yet)`);
+    } else {
+        console.log(`    Module: ${syncRecord.module_name}`);
+        console.log(`    Last sync at (watermark): ${syncRecord.last_sync_at || 'Never'}`);
+        console.log(`    Watermark record id: ${syncRecord.last_sync_id || 'N/A'}`);
+        console.log(`    Overlap window: ${getOverlapMs(syncRecord.module_name) / 1000}s`);
+        console.log(`    Status: ${syncRecord.status || 'unknown'}`);
+        console.log(`    Updated at: ${syncRecord.updated_at || 'Never'}`);
+    }
+
+    console.log('\n⚙️  Supported options:');
+    if (metadata.options.length === 0) {
+        console.log('    None');
+    } else {
+        getOptionHelp(metadata.options).forEach(line => console.log(`    ${line}`));
+    }
+}
+
+/**
+ * Shows the most recent task runs from the task_runs table
+ * @param {string} taskName - Only show runs of this task (optional)
+ * @param {Object} options - Parsed command line options (last, json)
+ */
+async function showTaskRuns(taskName, options = {}) {
+    const runs = await getTaskRuns({ taskName, limit: options.last || 20 });
+
+    if (options.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return;
+    }
+
+    console.log(`📜 Task runs${taskName ? ` for ${taskName}` : ''} (latest ${runs.length})`);
+    console.log('─'.repeat(50));
+
+    if (runs.length === 0) {
+        console.log('No task runs recorded yet');
+        return;
+    }
+
+    const icons = { running: '🔄', success: '✅', partial: '⚠️ ', failed: '❌', timeout: '⏱️ ', interrupted: '🛑', config_error: '⛔', locked: '🔒' };
+    runs.forEach(run => {
+        const duration = run.duration_ms !== null ? `${run.duration_ms}ms` : 'in progress';
+        console.log(`${icons[run.status] || '❓'} ${new Date(run.started_at).toLocaleString()} ${run.task_name}: ${run.status} (${duration})`);
+        console.log(`    Run id: ${run.run_id} | Host: ${run.host}`);
+        console.log(`    Fetched: ${run.records_fetched ?? '-'} | Sent: ${run.records_sent ?? '-'} | Failed: ${run.records_failed ?? '-'}`);
+        if (run.watermark_before || run.watermark_after) {
+            const format = value => (value ? new Date(value).toISOString() : 'none');
+            console.log(`    Watermark: ${format(run.watermark_before)} → ${format(run.watermark_after)}`);
+        }
+        if (run.error_message) {
+            console.log(`    Error: ${run.error_message}`);
+        }
+    });
+}
+
+/**
+ * Import the JSON sync records into the integration_sync_state table (one-time migration)
+ * @param {string} filePath - JSON sync file (default: data/integration_last_sync.json)
+ */
+async function importSyncState(filePath) {
+    console.log('📥 Importing sync records into integration_sync_state');
+    console.log('─'.repeat(50));
+
+    const { imported, skipped } = await importJsonSyncRecords(filePath);
+
+    imported.forEach(moduleName => console.log(`✅ ${moduleName}: imported`));
+    skipped.forEach(moduleName => console.log(`⏭️  ${moduleName}: already in the database - skipped`));
+    console.log(`\nImported: ${imported.length} | Skipped: ${skipped.length}`);
+}
+
 /**
  * Executes a specific task by name
+ * Only one run of a task may be in progress at a time; a second run exits without doing any work.
+ * Every run (including locked and failed ones) produces a structured result that is written to
+ * data/runs/, recorded in the task_runs table and printed as JSON with --json.
  * @param {string} taskName - The name of the task to execute
+ * @param {Object} options - Task options parsed from the command line (see utils/cliArgs.js)
+ * @returns {Promise<Object>} Task result (see utils/taskResult.js)
  */
-async function executeTask(taskName) {
+async function executeTask(taskName, options = {}) {
+    // --json and --timeout control how the task is run; they are not task options
+    const { json: printJson = false, timeout: timeoutSeconds = null, ...taskOptions } = options;
+    const runId = randomUUID();
     const startTime = new Date();
-    console.log(`🔄 Starting task: ${taskName}`);
-    console.log(`⏰ Start time: ${startTime.toISOString()}`);
-    console.log('─'.repeat(50));
+    let result;
+    let lock = null;
+    let syncModule = null;
+    let readWatermark = async () => null;
+    let watermarkBefore = null;
+    let timeoutTimer = null;
+    let run = null;
+    // Filled in by the SugarCRM rate limiters during the run
+    const rateLimitStats = createRateLimitStats();
 
     try {
-        // Dynamically import the task module
-        const taskModule = await import(`./tasks/${taskName}.js`);
-        
-        // Check if the module has a default export (the task function)
-        if (typeof taskModule.default !== 'function') {
-            throw new Error(`Task '${taskName}' does not export a default function`);
+        // Don't start new tasks (e.g. the rest of a pipeline) once a shutdown was requested
+        if (getShutdownSignal()) {
+            throw new TaskInterruptedError(getShutdownSignal());
         }
 
-        // Execute the task
-        await taskModule.default();
-        
-        const endTime = new Date();
-        const duration = endTime - startTime;
-        
-        console.log('─'.repeat(50));
-        console.log(`✅ Task '${taskName}' completed successfully`);
-        console.log(`⏰ End time: ${endTime.toISOString()}`);
-        console.log(`⏱️  Duration: ${duration}ms`);
-        
+        // Resolve the task first so an unknown task name is reported as a configuration error
+        const taskModule = await loadTaskModule(taskName);
+        syncModule = taskModule.metadata?.syncModule || null;
+        if (syncModule) {
+            readWatermark = async () => (await getSyncRecord(syncModule))?.last_sync_at || null;
+        }
+
+        lock = await acquireTaskLock(taskName);
+
+        if (!lock) {
+            console.log(`🔒 Task '${taskName}' is already running - skipping this run`);
+            await Logger.warn(`Task '${taskName}' skipped: another run holds the task lock`, {
+                taskName,
+                pid: process.pid
+            });
+            result = buildTaskResult(taskName, { runId, startTime, options: taskOptions, status: 'locked' });
+        } else {
+            console.log(`🔄 Starting task: ${taskName}`);
+            console.log(`🆔 Run id: ${runId}`);
+            console.log(`⏰ Start time: ${startTime.toISOString()}`);
+            console.log(`🔒 Lock acquired (${lock.type}): ${lock.key}`);
+
+            // Cancel the run cooperatively: HTTP calls made during the run abort with a TaskTimeoutError
+            // (or a TaskInterruptedError on shutdown)
+            run = registerRun(taskName);
+            const timeoutMs = timeoutSeconds ? timeoutSeconds * 1000 : taskModule.metadata?.timeoutMs || DEFAULT_TASK_TIMEOUT_MS;
+            timeoutTimer = setTimeout(() => {
+                console.log(`\n⏱️  Task '${taskName}' exceeded its ${timeoutMs}ms timeout - cancelling`);
+                Logger.warn(`Task '${taskName}' timed out`, { taskName, runId, timeoutMs });
+                run.abort(new TaskTimeoutError(taskName, timeoutMs));
+            }, timeoutMs);
+            console.log(`⏳ Timeout: ${timeoutMs}ms`);
+            if (Object.keys(taskOptions).length > 0) {
+                console.log(`⚙️  Options: ${JSON.stringify(taskOptions)}`);
+            }
+            console.log('─'.repeat(50));
+
+            watermarkBefore = await readWatermark();
+            await startTaskRun({ runId, taskName, options: taskOptions, startTime, watermarkBefore });
+
+            // Execute the task; sync tasks return their record counts
+            // Records dead-lettered by earlier runs are retried first, on regular incremental runs only:
+            // backfill windows, date ranges, --ids/--limit and dry runs would use up their attempts
+            const counts = await runWithContext(
+                { runId, taskName, signal: run.signal, stopSignal: run.stopSignal, rateLimitStats, backfill: taskOptions.backfill === true },
+                async () => {
+                    const deadLetterRetry = isIncrementalRun(taskOptions) ? await retryDeadLetters(taskModule.metadata) : null;
+                    const taskCounts = await taskModule.default(taskOptions);
+                    return taskCounts && deadLetterRetry ? { ...taskCounts, dead_letter_retry: deadLetterRetry } : taskCounts;
+                }
+            );
+            result = buildTaskResult(taskName, { runId, startTime, options: taskOptions, counts: counts || null, rateLimits: rateLimitStats });
+
+            console.log('─'.repeat(50));
+            if (result.status === 'partial') {
+                console.log(`⚠️  Task '${taskName}' completed with ${countPortalFailures(counts)} record(s) failed in the portal`);
+            } else {
+                console.log(`✅ Task '${taskName}' completed successfully`);
+            }
+            console.log(`⏰ End time: ${result.finished_at}`);
+            console.log(`⏱️  Duration: ${result.duration_ms}ms`);
+            if (counts?.skipped_unchanged > 0) {
+                console.log(`⏭️  Unchanged records skipped: ${counts.skipped_unchanged}`);
+            }
+            if (counts?.batch_failed > 0) {
+                console.log(`📦 Records in failed portal batches: ${counts.batch_failed}`);
+            }
+            if (counts?.dead_lettered > 0) {
+                console.log(`📮 Records added to the dead-letter queue: ${counts.dead_lettered} (node index.js dlq list)`);
+            }
+            if (counts?.dead_letter_retry) {
+                const retry = counts.dead_letter_retry;
+                console.log(`📮 Dead letters retried: ${retry.retried} (delivered ${retry.delivered}, still failing ${retry.failed}, max attempts reached ${retry.exhausted})`);
+            }
+            printRateLimitStats(result.rate_limits);
+        }
     } catch (error) {
-        const endTime = new Date();
-        const duration = endTime - startTime;
-        
+        result = buildTaskResult(taskName, { runId, startTime, options: taskOptions, error, rateLimits: rateLimitStats });
+
         console.log('─'.repeat(50));
         console.log(`❌ Task '${taskName}' failed`);
-        console.log(`⏰ End time: ${endTime.toISOString()}`);
-        console.log(`⏱️  Duration: ${duration}ms`);
+        console.log(`⏰ End time: ${result.finished_at}`);
+        console.log(`⏱️  Duration: ${result.duration_ms}ms`);
+        printRateLimitStats(result.rate_limits);
         console.log(`💥 Error: ${error.message}`);
-        
-        throw error;
+    } finally {
+        clearTimeout(timeoutTimer);
+        if (lock) {
+            await lock.release();
+        }
+        run?.release();
     }
+
+    const watermarkAfter = await readWatermark();
+    await finishTaskRun(result, { watermarkBefore, watermarkAfter });
+
+    // Runs that started (not locked out) and could change the sync state go into the module's history
+    if (syncModule && run && !taskOptions.dryRun) {
+        await recordSyncHistory(syncModule, result, { watermarkBefore, watermarkAfter });
+    }
+
+    try {
+        const filePath = await writeTaskResult(result);
+        console.log(`📄 Run result written to: ${filePath}`);
+    } catch (error) {
+        console.log(`⚠️  Failed to write run result: ${error.message}`);
+        await Logger.warn(`Failed to write run result for task '${taskName}'`, {
+            taskName,
+            error: error.message
+        });
+    }
+
+    if (printJson) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+
+    return result;
+}
+
+/**
+ * Add a run to the history of its sync record
+ * A failure is only logged: history is informational and must not fail the run.
+ * @param {string} syncModule - Sync tracker module of the task
+ * @param {Object} result - Task result (see utils/taskResult.js)
+ * @param {Object} watermarks - Sync watermark before and after the run
+ */
+async function recordSyncHistory(syncModule, result, { watermarkBefore, watermarkAfter }) {
+    try {
+        await addSyncHistoryEntry(syncModule, {
+            run_id: result.run_id,
+            started_at: result.started_at,
+            finished_at: result.finished_at,
+            status: result.status,
+            duration_ms: result.duration_ms,
+            fetched: result.counts?.fetched ?? null,
+            sent: result.counts?.sent ?? null,
+            failed: result.counts ? countPortalFailures(result.counts) : null,
+            skipped_unchanged: result.counts?.skipped_unchanged ?? null,
+            watermark_used: result.options.since || watermarkBefore,
+            watermark_after: watermarkAfter
+        });
+    } catch (error) {
+        console.log(`⚠️  Failed to record sync history for ${syncModule}: ${error.message}`);
+        await Logger.warn('Failed to record sync history', {
+            syncModule,
+            runId: result.run_id,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Print how long a run's SugarCRM requests waited for the client-side rate limiters
+ * @param {Object} rateLimits - Map of budget name to { requests, throttled, wait_ms, max_wait_ms }
+ */
+function printRateLimitStats(rateLimits) {
+    for (const [budget, stats] of Object.entries(rateLimits || {})) {
+        console.log(`🚦 ${budget}: ${stats.requests} request(s), ${stats.throttled} throttled, waited ${stats.wait_ms}ms (max ${stats.max_wait_ms}ms)`);
+    }
+}
+
+/**
+ * Executes several tasks in dependency order and prints a combined summary
+ * @param {string} command - 'run-all' or 'run-group'
+ * @param {string} groupName - Group name from config/taskGroups.json (run-group only)
+ * @param {Object} options - Task options passed to every task in the pipeline
+ * @returns {Promise<Array<Object>>} Result per task (see runTaskPipeline)
+ */
+async function executePipeline(command, groupName, options = {}) {
+    // With --json, print one combined document instead of one per task
+    const { json: printJson = false, ...taskOptions } = options;
+    let taskNames;
+
+    if (command === 'run-group') {
+        if (!groupName) {
+            throw new ConfigurationError('Usage: node index.js run-group <groupName>');
+        }
+
+        const groups = await loadTaskGroups();
+        if (!groups[groupName]) {
+            throw new ConfigurationError(`Unknown task group '${groupName}'. Available groups: ${Object.keys(groups).join(', ')}`);
+        }
+        taskNames = groups[groupName];
+        console.log(`🧩 Running task group: ${groupName}`);
+    } else {
+        taskNames = await listTaskNames();
+        console.log('🧩 Running all tasks');
+    }
+
+    const startTime = new Date();
+    const results = await runTaskPipeline(taskNames, name => executeTask(name, taskOptions));
+    const duration = new Date() - startTime;
+
+    const icons = { success: '✅', partial: '⚠️ ', failed: '❌', timeout: '⏱️ ', interrupted: '🛑', config_error: '⛔', skipped: '⏭️ ', locked: '🔒' };
+    console.log('═'.repeat(50));
+    console.log('📊 Pipeline Summary');
+    console.log('═'.repeat(50));
+    results.forEach(result => {
+        const detail = result.error ? ` - ${result.error}` : '';
+        console.log(`  ${icons[result.status] || '❓'} ${result.taskName}: ${result.status} (${result.duration}ms)${detail}`);
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log('─'.repeat(50));
+    console.log(`  • Succeeded: ${count('success')}`);
+    console.log(`  • Partially succeeded: ${count('partial')}`);
+    console.log(`  • Failed: ${count('failed') + count('timeout') + count('config_error')}`);
+    console.log(`  • Interrupted: ${count('interrupted')}`);
+    console.log(`  • Skipped: ${count('skipped')}`);
+    console.log(`  • Already running: ${count('locked')}`);
+    console.log(`⏱️  Total duration: ${duration}ms`);
+
+    if (printJson) {
+        console.log(JSON.stringify({
+            command,
+            group: command === 'run-group' ? groupName : null,
+            started_at: startTime.toISOString(),
+            duration_ms: duration,
+            tasks: results.map(result => result.result || {
+                task: result.taskName,
+                status: result.status,
+                error: result.error ? { message: result.error } : null
+            })
+        }, null, 2));
+    }
+
+    return results;
 }
 
 // Run the main function
 main().catch(error => {
     console.error('Fatal error:', error);
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
 });
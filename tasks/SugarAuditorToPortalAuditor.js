@@ -3,19 +3,50 @@
  * Syncs SugarCRM Auditors data to Portal Auditors
  */
 
-import { sugarCRMPost, fetchAllRecords, authenticateSugarCRM } from '../utils/sugarCRM.js';
+import { sugarCRMPost, iterateRecords, authenticateSugarCRM } from '../utils/sugarCRM.js';
 import { callPortalAPIWithEnv } from '../utils/portalAPI.js';
-import { getSyncRecord, updateSyncRecord } from '../utils/syncTracker.js';
+import { getSyncRecord, updateSyncRecord, startSyncRun } from '../utils/syncTracker.js';
 import { getSugarcrmFields, transformSugarcrmToPortal } from '../utils/fieldTransformer.js';
 import Logger from '../utils/logger.js';
+import { writeDryRunReport } from '../utils/dryRun.js';
+import { buildSyncFilters, shouldAdvanceWatermark, getPaginationMode } from '../utils/syncOptions.js';
+import { createSyncCounts, getCompletedRunStatus } from '../utils/taskResult.js';
+import { TaskTimeoutError, TaskInterruptedError } from '../utils/errors.js';
+import { createSyncCheckpoint, markSyncInterrupted, getCheckpointWatermark } from '../utils/syncCheckpoint.js';
+import { getSyncStartPoint } from '../utils/syncWatermark.js';
+import { createPageDelivery } from '../utils/pageDelivery.js';
+
+// Portal endpoint that receives the transformed records
+const PORTAL_ENDPOINT = 'api/integration/SugarAuditorToPortalAuditor';
+
+/**
+ * Task metadata used by the help/describe commands and pipeline ordering
+ */
+export const metadata = {
+    description: 'Syncs SugarCRM Auditors to Portal Auditors',
+    sugarModule: 'aud_Auditor',
+    portalEndpoint: PORTAL_ENDPOINT,
+    mappingKey: 'sugarcrm_to_portal_auditors',
+    syncModule: 'Auditors',
+    // Tasks that must complete successfully before this one in a pipeline run
+    dependencies: [],
+    options: ['since', 'until', 'date-field', 'ids', 'limit', 'no-watermark', 'pagination', 'force', 'dry-run']
+};
 
 /**
  * Main task function for syncing SugarCRM Auditors to Portal Auditors
+ * @param {Object} options - Task options (see utils/cliArgs.js)
+ * @returns {Promise<Object>} Record counts for the run (see utils/taskResult.js)
  */
-export default async function sugarAuditorToPortalAuditor() {
+export default async function sugarAuditorToPortalAuditor(options = {}) {
     console.log('📊 SugarCRM Auditor to Portal Auditor Sync');
     console.log('==========================================\n');
     
+    // Tracks delivered records so that an interrupted run can save a partial checkpoint
+    const checkpoint = createSyncCheckpoint();
+    let syncRecord = null;
+    let advanceWatermark = false;
+    
     try {
         // Log task start
         await Logger.taskStart('SugarAuditorToPortalAuditor', {
@@ -24,7 +55,8 @@ export default async function sugarAuditorToPortalAuditor() {
         });
         
         // Get last sync date for Auditors module
-        const syncRecord = await getSyncRecord('Auditors');
+        // Marks the record 'running' (dry runs never touch the sync tracker)
+        syncRecord = options.dryRun ? await getSyncRecord('Auditors') : await startSyncRun('Auditors');
         if (!syncRecord) {
             throw new Error('No sync record found for Auditors module. Please create one first.');
         }
@@ -36,77 +68,85 @@ export default async function sugarAuditorToPortalAuditor() {
         const auditorFields = await getSugarcrmFields('sugarcrm_to_portal_auditors');
         console.log(`📋 Fields to fetch: ${auditorFields.join(', ')}`);
         
-        // Create filters for SugarCRM API
-        const filters = [
-            {
-                date_modified: {
-                    $gte: lastSyncDate
-                }
-            }
-        ];
+        // Create filters for SugarCRM API (date window and record IDs from task options)
+        const { filters, startAfter } = buildSyncFilters(getSyncStartPoint(syncRecord, 'Auditors'), options);
+        advanceWatermark = shouldAdvanceWatermark(options, syncRecord);
         
-        console.log(`  • Date filter: >= ${lastSyncDate}`);
+        const counts = createSyncCounts();
+        const delivery = createPageDelivery(metadata, {
+            options,
+            counts,
+            checkpoint,
+            sync: syncToPortalAuditors,
+            label: 'Portal Auditor'
+        });
         
-        // Fetch all auditor records from SugarCRM
-        const auditorRecords = await fetchAllRecords({
+        // Stream the auditor records: each page is transformed and pushed before the next one is fetched
+        const pages = iterateRecords({
             module: 'aud_Auditor',
             fields: auditorFields.join(','),
             filters: filters,
+            limit: options.limit,
+            // Keyset pagination orders by date_modified, id ascending; the order below is for --pagination offset
+            pagination: getPaginationMode(options),
+            startAfter,
             orderBy: 'date_modified:asc'
         });
         
-        console.log(`✅ Found ${auditorRecords.records.length} auditor records to process`);
-        
-        if (auditorRecords.records.length === 0) {
-            console.log('⏭️  No new auditor records to sync');
-            return;
+        for await (const page of pages) {
+            const { records } = page;
+            counts.fetched += records.length;
+            checkpoint.addFetched(records);
+            console.log(`📄 Fetched page ${page.number}: ${records.length} auditor records (Total so far: ${counts.fetched})`);
+            
+            if (records.length === 0) {
+                continue;
+            }
+            
+            // Process records for Portal Auditors
+            console.log('🔄 Processing auditor records for Portal...');
+            const validationErrors = [];
+            const transformedRecords = await processRecordsForPortalAuditors(records, validationErrors);
+            await delivery.deliver(page, transformedRecords, validationErrors);
         }
         
-        // Process records for Portal Auditors
-        console.log('🔄 Processing auditor records for Portal...');
-        const processedRecords = await processRecordsForPortalAuditors(auditorRecords.records);
-        
-        console.log(`✅ Processed ${processedRecords.length} auditor records`);
-        
-        // Print processed records for verification
-        console.log('\n📋 Transformed Auditor Records:');
-        console.log('─'.repeat(50));
-        console.log(JSON.stringify(processedRecords, null, 2));
+        console.log(`✅ Fetched ${counts.fetched} auditor records`);
         
-        // Sync to Portal Auditors
-        const portalResponse = await syncToPortalAuditors(processedRecords);
-        
-        console.log(`\n🎯 Portal Auditor Sync Results:`);
-        const responseArray = Array.isArray(portalResponse) ? portalResponse : [];
-        console.log(`  • Total Records: ${responseArray.length}`);
-        
-        // Count different statuses
-        const statusCounts = responseArray.reduce((counts, record) => {
-            counts[record.internalStatus] = (counts[record.internalStatus] || 0) + 1;
+        if (options.dryRun) {
+            await writeDryRunReport('SugarAuditorToPortalAuditor', {
+                sugarcrmModule: 'aud_Auditor',
+                portalEndpoint: PORTAL_ENDPOINT,
+                options,
+                fetched: counts.fetched,
+                skippedUnchanged: counts.skipped_unchanged,
+                batches: delivery.dryRunBatches,
+                validationErrors: delivery.dryRunErrors
+            });
             return counts;
-        }, {});
+        }
         
-        Object.entries(statusCounts).forEach(([status, count]) => {
-            console.log(`  • ${status}: ${count}`);
-        });
+        if (counts.fetched === 0) {
+            console.log('⏭️  No new auditor records to sync');
+        }
         
-        // Update sync record with current timestamp
+        // Move the watermark to the newest delivered record (partial runs keep the existing watermark)
         const currentTime = new Date().toISOString();
-        updateSyncRecord('Auditors', {
-            last_sync_at: currentTime,
-            updated_at: currentTime,
-            status: 'completed'
+        await updateSyncRecord('Auditors', {
+            ...getCheckpointWatermark(checkpoint, { advanceWatermark, syncRecord }),
+            // 'partial' when the portal rejected some records
+            status: getCompletedRunStatus(counts)
         });
         
         console.log(`\n✅ Sync completed successfully at ${currentTime}`);
         
         // Log task completion
         await Logger.taskComplete('SugarAuditorToPortalAuditor', {
-            totalRecords: processedRecords.length,
-            statusCounts,
-            portalResponse
+            totalRecords: counts.sent,
+            statusCounts: counts.portal_statuses
         });
         
+        return counts;
+        
     } catch (error) {
         console.error(`❌ Sync failed: ${error.message}`);
         
@@ -116,6 +156,45 @@ export default async function sugarAuditorToPortalAuditor() {
             stack: error.stack
         });
         
+        // Dry runs never touch the sync tracker
+        if (options.dryRun) {
+            throw error;
+        }
+
+        // The run never started (no sync record, or it could not be marked running)
+        if (!syncRecord) {
+            throw error;
+        }
+        
+        // Save how far the run got before it was stopped by SIGINT/SIGTERM
+        if (error instanceof TaskInterruptedError) {
+            try {
+                await markSyncInterrupted('Auditors', checkpoint, {
+                    error,
+                    advanceWatermark,
+                    syncRecord
+                });
+            } catch (updateError) {
+                console.log(`⚠️  Failed to update sync record: ${updateError.message}`);
+            }
+            throw error;
+        }
+        
+        // Update sync record with failure status (the watermark is left untouched)
+        try {
+            await updateSyncRecord('Auditors', {
+                status: 'failed',
+                metadata: {
+                    error_message: error.message,
+                    failure_reason: error instanceof TaskTimeoutError ? 'timeout' : 'error',
+                    failed_at: new Date().toISOString(),
+                    sugarcrm_module: 'aud_Auditor'
+                }
+            });
+        } catch (updateError) {
+            console.log(`⚠️  Failed to update sync record: ${updateError.message}`);
+        }
+        
         throw error;
     }
 }
@@ -123,9 +202,10 @@ export default async function sugarAuditorToPortalAuditor() {
 /**
  * Process SugarCRM auditor records for Portal Auditors
  * @param {Array} auditorRecords - Array of SugarCRM auditor records
+ * @param {Array} validationErrors - Collects validation errors per record ({ sugar_id, errors })
  * @returns {Array} Processed records for Portal
  */
-async function processRecordsForPortalAuditors(auditorRecords) {
+async function processRecordsForPortalAuditors(auditorRecords, validationErrors = []) {
     console.log('🔄 Processing auditor records...');
     
     const processedRecords = [];
@@ -134,6 +214,9 @@ async function processRecordsForPortalAuditors(auditorRecords) {
         try {
             // Transform SugarCRM auditor record to Portal Auditor format using field transformer
             const transformed = await transformSugarcrmToPortal(record, 'sugarcrm_to_portal_auditors');
+            if (transformed.validationErrors.length > 0) {
+                validationErrors.push({ sugar_id: record.id, errors: transformed.validationErrors });
+            }
             
             // Extract only the data field with the required fields per mapping
             const processed = {
@@ -149,6 +232,7 @@ async function processRecordsForPortalAuditors(auditorRecords) {
             
         } catch (error) {
             console.error(`❌ Error processing auditor record ${record.id}: ${error.message}`);
+            validationErrors.push({ sugar_id: record.id, errors: [error.message] });
             
             // Add record with error information
             processedRecords.push({
@@ -168,20 +252,21 @@ async function processRecordsForPortalAuditors(auditorRecords) {
 /**
  * Sync processed auditor records to Portal Auditors
  * @param {Array} processedRecords - Array of processed auditor records
- * @returns {Promise<Array>} Portal API response
+ * @returns {Promise<Object>} Portal API result ({ success, data, error, batches, failedBatches }, see callPortalAPI) -
+ *   data holds the responses of the delivered batches, failedBatches the batches that failed
  */
 async function syncToPortalAuditors(processedRecords) {
     console.log('  🔄 Syncing to Portal Auditors...');
     
     if (processedRecords.length === 0) {
         console.log('    ⏭️  No records to sync');
-        return [];
+        return { success: true, data: [], batches: [], failedBatches: [] };
     }
     
     try {
         // Call Portal API with all processed records using generic utility
         const syncResult = await callPortalAPIWithEnv(
-            'api/integration/SugarAuditorToPortalAuditor',
+            PORTAL_ENDPOINT,
             processedRecords,
             {
                 moduleName: 'Auditors',
@@ -193,7 +278,6 @@ async function syncToPortalAuditors(processedRecords) {
         );
         
         if (syncResult.success) {
-            // Return the portal API response directly
             console.log(`    ✅ Portal sync completed successfully`);
             console.log(`    📊 Processed ${processedRecords.length} records`);
             
@@ -202,13 +286,14 @@ async function syncToPortalAuditors(processedRecords) {
                 totalRecords: processedRecords.length,
                 responseData: syncResult.data
             });
-            
-            // Return the portal API response as-is
-            return syncResult.data;
         } else {
-            throw new Error(syncResult.error || 'Unknown error from Portal API');
+            // Failed batches are dead-lettered by the caller (see utils/pageDelivery.js)
+            console.log(`    ⚠️  Portal sync failed: ${syncResult.error}`);
         }
         
+        // Return the portal API response as-is, with the batches that failed
+        return syncResult;
+        
     } catch (error) {
         console.log(`    ❌ Error syncing to Portal Auditors: ${error.message}`);
         
@@ -3,16 +3,42 @@
  * Syncs SugarCRM Accounts data into the Portal Members module
  */
 
-import { getSyncRecord, updateSyncRecord, getSyncStatistics } from '../utils/syncTracker.js';
-import { sugarCRMPost, getDefaultFields, fetchAllRecords } from '../utils/sugarCRM.js';
+import { getSyncRecord, updateSyncRecord, startSyncRun, getSyncStatistics } from '../utils/syncTracker.js';
+import { sugarCRMPost, getDefaultFields, iterateRecords } from '../utils/sugarCRM.js';
 import { transformSugarcrmToPortal, getSugarcrmFields } from '../utils/fieldTransformer.js';
 import Logger from '../utils/logger.js';
+import { writeDryRunReport } from '../utils/dryRun.js';
 import { callPortalAPIWithEnv } from '../utils/portalAPI.js';
+import { buildSyncFilters, shouldAdvanceWatermark, getPaginationMode } from '../utils/syncOptions.js';
+import { createSyncCounts, getCompletedRunStatus } from '../utils/taskResult.js';
+import { TaskTimeoutError, TaskInterruptedError } from '../utils/errors.js';
+import { createSyncCheckpoint, markSyncInterrupted, getCheckpointWatermark } from '../utils/syncCheckpoint.js';
+import { getSyncStartPoint } from '../utils/syncWatermark.js';
+import { createPageDelivery } from '../utils/pageDelivery.js';
+
+// Portal endpoint that receives the transformed records
+const PORTAL_ENDPOINT = 'api/integration/SugarMemberToPortalMember';
+
+/**
+ * Task metadata used by the help/describe commands and pipeline ordering
+ */
+export const metadata = {
+    description: 'Syncs SugarCRM Accounts (type Member with a valid TM ID) to Portal Members',
+    sugarModule: 'Accounts',
+    portalEndpoint: PORTAL_ENDPOINT,
+    mappingKey: 'sugarcrm_to_portal_members',
+    syncModule: 'Members',
+    // Tasks that must complete successfully before this one in a pipeline run
+    dependencies: [],
+    options: ['since', 'until', 'date-field', 'ids', 'limit', 'no-watermark', 'pagination', 'force', 'dry-run']
+};
 
 /**
  * Main task function that syncs SugarCRM Accounts to Portal Members
+ * @param {Object} options - Task options (see utils/cliArgs.js)
+ * @returns {Promise<Object>} Record counts for the run (see utils/taskResult.js)
  */
-export default async function SugarCRMAccountToPortalMember() {
+export default async function SugarCRMAccountToPortalMember(options = {}) {
     console.log('🔄 Starting SugarCRM Account to Portal Member sync...');
     
     const moduleName = 'Members';
@@ -26,13 +52,18 @@ export default async function SugarCRMAccountToPortalMember() {
         timestamp: currentTimestamp
     });
     
+    // Tracks delivered records so that an interrupted run can save a partial checkpoint
+    const checkpoint = createSyncCheckpoint();
+    let syncRecord = null;
+    let advanceWatermark = false;
+    
     try {
         // Get last sync date for the Members module
-        const syncRecord = await getSyncRecord(moduleName);
-        let lastSyncDate = null;
+        // Marks the record 'running' (dry runs never touch the sync tracker)
+        syncRecord = options.dryRun ? await getSyncRecord(moduleName) : await startSyncRun(moduleName);
         
         if (syncRecord && syncRecord.last_sync_at) {
-            lastSyncDate = syncRecord.last_sync_at;
+            const lastSyncDate = syncRecord.last_sync_at;
             console.log(`\n📅 Last sync date for module '${moduleName}': ${new Date(lastSyncDate).toLocaleString()}`);
             await Logger.info(`Last sync date found for module '${moduleName}'`, {
                 moduleName,
@@ -46,20 +77,9 @@ export default async function SugarCRMAccountToPortalMember() {
             });
         }
         
-        // Prepare filters for SugarCRM API
-        const filters = [];
-        
-        // Add date filter if we have a last sync date
-        if (lastSyncDate) {
-            filters.push({
-                date_modified: {
-                    $gte: lastSyncDate
-                }
-            });
-            console.log(`  🔍 Filter: date_modified >= ${new Date(lastSyncDate).toLocaleString()}`);
-        } else {
-            console.log(`  🔍 No date filter - fetching all records`);
-        }
+        // Prepare filters for SugarCRM API (date window and record IDs from task options)
+        const { filters, sinceDate, startAfter } = buildSyncFilters(getSyncStartPoint(syncRecord, moduleName), options);
+        advanceWatermark = shouldAdvanceWatermark(options, syncRecord);
         
         // Add tm_id_c filter to get only members with valid TM ID
         filters.push({
@@ -90,6 +110,10 @@ export default async function SugarCRMAccountToPortalMember() {
             filters: filters,
             fields: fields,
             maxResults: 50, // Fetch 50 records per page
+            limit: options.limit,
+            // Keyset pagination orders by date_modified, id ascending; the order below is for --pagination offset
+            pagination: getPaginationMode(options),
+            startAfter,
             orderBy: 'date_modified',
             orderDirection: 'desc'
         };
@@ -104,81 +128,77 @@ export default async function SugarCRMAccountToPortalMember() {
             maxResults: apiConfig.maxResults
         });
         
-        // Fetch all records with pagination
-        const fetchResult = await fetchAllRecords(apiConfig, (records, response) => {
-            console.log(`  📄 Fetched page: ${records.length} records (Total so far: ${response.data.total_count})`);
+        const counts = createSyncCounts();
+        const delivery = createPageDelivery(metadata, {
+            options,
+            counts,
+            checkpoint,
+            sync: syncToPortalMembers,
+            label: 'Portal Member'
         });
         
-        const { records, total_fetched } = fetchResult;
+        // Stream the records: each page is transformed and pushed before the next one is fetched
+        for await (const page of iterateRecords(apiConfig)) {
+            const { records } = page;
+            counts.fetched += records.length;
+            checkpoint.addFetched(records);
+            console.log(`  📄 Fetched page ${page.number}: ${records.length} records (Total so far: ${counts.fetched})`);
+            
+            if (records.length === 0) {
+                continue;
+            }
+            
+            // Process the fetched records
+            console.log('\n🔄 Processing records for Portal Member sync...');
+            
+            const validationErrors = [];
+            const transformedRecords = await processRecordsForPortalMembers(records, validationErrors);
+            await delivery.deliver(page, transformedRecords, validationErrors);
+        }
         
-        console.log(`Total records fetched: ${total_fetched}`);
+        console.log(`Total records fetched: ${counts.fetched}`);
         
         // Log fetch results
         await Logger.info(`SugarCRM records fetched successfully`, {
             module: sugarCRMModule,
-            totalFetched: total_fetched,
-            recordsCount: records.length
+            totalFetched: counts.fetched
         });
         
-        if (records.length === 0) {
+        if (options.dryRun) {
+            await writeDryRunReport('SugarCRMAccountToPortalMember', {
+                sugarcrmModule: sugarCRMModule,
+                portalEndpoint: PORTAL_ENDPOINT,
+                options,
+                fetched: counts.fetched,
+                skippedUnchanged: counts.skipped_unchanged,
+                batches: delivery.dryRunBatches,
+                validationErrors: delivery.dryRunErrors
+            });
+            return counts;
+        }
+        
+        if (counts.fetched === 0) {
             console.log('\n✅ No new or modified records found - sync up to date');
         } else {
-            // Process the fetched records
-            console.log('\n🔄 Processing records for Portal Member sync...');
-            
-            const processedRecords = await processRecordsForPortalMembers(records);
-            
-            console.log(`\n📈 Processing Summary:`);
-            console.log(`  • Records processed: ${processedRecords.length}`);
-            
-            // Print all processed records before pushing to portal
-            console.log('\n📋 Complete Processed Records Array:');
-            console.log('─'.repeat(60));
-            console.log(JSON.stringify(processedRecords, null, 2));
-            console.log('─'.repeat(60));
-            
-            // Log processed records
-            await Logger.dataProcessing('Processed records ready for portal sync', processedRecords, {
-                totalRecords: processedRecords.length
-            });
-            
-            // Sync to Portal Members
-            const portalResponse = await syncToPortalMembers(processedRecords);
-            
-            console.log(`\n🎯 Portal Member Sync Results:`);
-            const responseArray = Array.isArray(portalResponse) ? portalResponse : [];
-            console.log(`  • Total Records: ${responseArray.length}`);
-            if (!Array.isArray(portalResponse)) {
-                console.log('  ⚠️  Portal response was not an array; normalized to empty array for summary');
-            }
-            
-            // Count different statuses
-            const statusCounts = responseArray.reduce((counts, record) => {
-                counts[record.internalStatus] = (counts[record.internalStatus] || 0) + 1;
-                return counts;
-            }, {});
-            
-            Object.entries(statusCounts).forEach(([status, count]) => {
+            console.log(`\n🎯 Portal Member Sync Totals: ${counts.sent} records sent, ${counts.skipped_unchanged} unchanged skipped`);
+            Object.entries(counts.portal_statuses).forEach(([status, count]) => {
                 console.log(`  • ${status}: ${count}`);
             });
-            
-            // Log sync results
-            await Logger.info('Portal Member sync completed', {
-                totalRecords: responseArray.length,
-                statusCounts,
-                portalResponse: responseArray
-            });
         }
             
             // Update sync record on success
         await updateSyncRecord(moduleName, {
-                status: 'success',
-            last_sync_at: currentTimestamp,
+                // 'partial' when the portal rejected some records
+                status: getCompletedRunStatus(counts),
+            // The watermark moves to the newest delivered record; partial runs
+            // (see shouldAdvanceWatermark) keep the existing one
+            ...getCheckpointWatermark(checkpoint, { advanceWatermark, syncRecord }),
                 metadata: {
-                records_fetched: total_fetched,
+                records_fetched: counts.fetched,
                 sugarcrm_module: sugarCRMModule,
                 sync_duration: currentTimestamp,
-                last_sync_date_used: lastSyncDate
+                last_sync_date_used: sinceDate,
+                task_options: options
             }
         });
         
@@ -187,9 +207,11 @@ export default async function SugarCRMAccountToPortalMember() {
         // Log task completion
         await Logger.taskComplete('SugarCRMAccountToPortalMember', {
             moduleName,
-            totalFetched: total_fetched,
+            totalFetched: counts.fetched,
             timestamp: currentTimestamp
         });
+        
+        return counts;
             
         } catch (error) {
         console.error(`\n❌ Sync failed: ${error.message}`);
@@ -201,12 +223,37 @@ export default async function SugarCRMAccountToPortalMember() {
             timestamp: currentTimestamp
         });
             
+        // Dry runs never touch the sync tracker
+        if (options.dryRun) {
+            throw error;
+        }
+
+        // The run never started (no sync record, or it could not be marked running)
+        if (!syncRecord) {
+            throw error;
+        }
+        
+        // Save how far the run got before it was stopped by SIGINT/SIGTERM
+        if (error instanceof TaskInterruptedError) {
+            try {
+                await markSyncInterrupted(moduleName, checkpoint, {
+                    error,
+                    advanceWatermark,
+                    syncRecord
+                });
+            } catch (updateError) {
+                console.log(`⚠️  Failed to update sync record: ${updateError.message}`);
+            }
+            throw error;
+        }
+        
             // Update sync record on failure
             try {
             await updateSyncRecord(moduleName, {
                     status: 'failed',
                     metadata: {
                         error_message: error.message,
+                    failure_reason: error instanceof TaskTimeoutError ? 'timeout' : 'error',
                     failed_at: new Date().toISOString(),
                     sugarcrm_module: sugarCRMModule
                     }
@@ -227,9 +274,10 @@ export default async function SugarCRMAccountToPortalMember() {
 /**
  * Process SugarCRM Account records for Portal Member sync
  * @param {Array} records - Array of SugarCRM Account records
+ * @param {Array} validationErrors - Collects validation errors per record ({ sugar_id, errors })
  * @returns {Promise<Array>} Processed records ready for Portal Member sync
  */
-async function processRecordsForPortalMembers(records) {
+async function processRecordsForPortalMembers(records, validationErrors = []) {
     console.log('  🔄 Processing records with field transformation...');
     
     const processedRecords = [];
@@ -238,6 +286,9 @@ async function processRecordsForPortalMembers(records) {
         try {
             // Transform SugarCRM record to Portal Member format
             const transformation = await transformSugarcrmToPortal(record, 'sugarcrm_to_portal_members');
+            if (transformation.validationErrors.length > 0) {
+                validationErrors.push({ sugar_id: record.id, errors: transformation.validationErrors });
+            }
             
             // Create simple processed record with only essential fields
             const processed = {
@@ -254,6 +305,7 @@ async function processRecordsForPortalMembers(records) {
             
         } catch (error) {
             console.log(`    ⚠️  Error processing record ${record.id}: ${error.message}`);
+            validationErrors.push({ sugar_id: record.id, errors: [error.message] });
             processedRecords.push({
                 tm_id_c: null,
                 member_name: record.name || null,
@@ -273,20 +325,21 @@ async function processRecordsForPortalMembers(records) {
 /**
  * Sync processed records to Portal Members
  * @param {Array} processedRecords - Array of processed records
- * @returns {Promise<Array>} Portal API response array or empty array if no records
+ * @returns {Promise<Object>} Portal API result ({ success, data, error, batches, failedBatches }, see callPortalAPI) -
+ *   data holds the responses of the delivered batches, failedBatches the batches that failed
  */
 async function syncToPortalMembers(processedRecords) {
     console.log('  🔄 Syncing to Portal Members...');
     
     if (processedRecords.length === 0) {
         console.log('    ⏭️  No records to sync');
-        return [];
+        return { success: true, data: [], batches: [], failedBatches: [] };
     }
     
     try {
         // Call Portal API with all processed records using generic utility
         const syncResult = await callPortalAPIWithEnv(
-            'api/integration/SugarMemberToPortalMember',
+            PORTAL_ENDPOINT,
             processedRecords,
             {
                 moduleName: 'Members',
@@ -298,7 +351,6 @@ async function syncToPortalMembers(processedRecords) {
         );
         
         if (syncResult.success) {
-            // Return the portal API response directly
             console.log(`    ✅ Portal sync completed successfully`);
             console.log(`    📊 Processed ${processedRecords.length} records`);
             
@@ -307,13 +359,14 @@ async function syncToPortalMembers(processedRecords) {
                 totalRecords: processedRecords.length,
                 responseData: syncResult.data
             });
-            
-            // Return the portal API response as-is
-            return syncResult.data;
         } else {
-            throw new Error(syncResult.error || 'Unknown error from Portal API');
+            // Failed batches are dead-lettered by the caller (see utils/pageDelivery.js)
+            console.log(`    ⚠️  Portal sync failed: ${syncResult.error}`);
         }
         
+        // Return the portal API response as-is, with the batches that failed
+        return syncResult;
+        
     } catch (error) {
         console.log(`    ❌ Error syncing to Portal Members: ${error.message}`);
         
@@ -3,20 +3,52 @@
  * Syncs SugarCRM Compliance Officer data into the Portal MemberUsers module
  */
 
-import { getSyncRecord, updateSyncRecord, getSyncStatistics } from '../utils/syncTracker.js';
-import { sugarCRMPost, getDefaultFields, fetchAllRecords } from '../utils/sugarCRM.js';
+import { getSyncRecord, updateSyncRecord, startSyncRun, getSyncStatistics } from '../utils/syncTracker.js';
+import { sugarCRMPost, getDefaultFields, iterateRecords } from '../utils/sugarCRM.js';
 import { transformSugarcrmToPortal, getSugarcrmFields } from '../utils/fieldTransformer.js';
 import Logger from '../utils/logger.js';
+import { writeDryRunReport } from '../utils/dryRun.js';
 import { callPortalAPIWithEnv } from '../utils/portalAPI.js';
+import { buildSyncFilters, shouldAdvanceWatermark, getPaginationMode } from '../utils/syncOptions.js';
+import { createSyncCounts, getCompletedRunStatus } from '../utils/taskResult.js';
+import { TaskTimeoutError, TaskInterruptedError } from '../utils/errors.js';
+import { createSyncCheckpoint, markSyncInterrupted, getCheckpointWatermark } from '../utils/syncCheckpoint.js';
+import { getSyncStartPoint } from '../utils/syncWatermark.js';
+import { createPageDelivery } from '../utils/pageDelivery.js';
+
+// Portal endpoint that receives the transformed records
+const PORTAL_ENDPOINT = 'api/integration/SugarComplianceOfficersToPortalUsers';
+
+/**
+ * Task metadata used by the help/describe commands and pipeline ordering
+ */
+export const metadata = {
+    description: 'Syncs active SugarCRM Compliance Officers to Portal member users',
+    sugarModule: 'comp_Compliance_Officers',
+    portalEndpoint: PORTAL_ENDPOINT,
+    mappingKey: 'sugarcrm_to_portal_users',
+    syncModule: 'ComplianceOfficers',
+    // Tasks that must complete successfully before this one in a pipeline run
+    // Compliance officers reference their member account (accounts_comp_compliance_officers_1accounts_ida)
+    dependencies: ['SugarCRMAccountToPortalMember'],
+    options: ['since', 'until', 'date-field', 'ids', 'limit', 'no-watermark', 'pagination', 'force', 'dry-run']
+};
 
 /**
  * Main task function for SugarCRM Compliance Officer to Portal Users sync
+ * @param {Object} options - Task options (see utils/cliArgs.js)
+ * @returns {Promise<Object>} Record counts for the run (see utils/taskResult.js)
  */
-export default async function SugarCRMCoToPortalUsers() {
+export default async function SugarCRMCoToPortalUsers(options = {}) {
     const taskName = 'SugarCRMCoToPortalUsers';
     const moduleName = 'ComplianceOfficers';
     const sugarCRMModule = 'comp_Compliance_Officers';
     
+    // Tracks delivered records so that an interrupted run can save a partial checkpoint
+    const checkpoint = createSyncCheckpoint();
+    let syncRecord = null;
+    let advanceWatermark = false;
+    
     try {
         // Log task start
         await Logger.taskStart(taskName, {
@@ -28,8 +60,9 @@ export default async function SugarCRMCoToPortalUsers() {
         console.log('==================================================');
         
         // Get last sync date
-        const syncRecord = await getSyncRecord(moduleName);
-        const lastSyncDate = syncRecord?.last_sync_at;
+        // Marks the record 'running' (dry runs never touch the sync tracker)
+        syncRecord = options.dryRun ? await getSyncRecord(moduleName) : await startSyncRun(moduleName);
+        const lastSyncDate = syncRecord?.last_sync_at || null;
         
         if (lastSyncDate) {
             console.log(`📅 Last sync date: ${new Date(lastSyncDate).toLocaleString()}`);
@@ -45,20 +78,9 @@ export default async function SugarCRMCoToPortalUsers() {
             });
         }
         
-        // Prepare filters for SugarCRM API
-        const filters = [];
-        
-        // Add date filter if we have a last sync date
-        if (lastSyncDate) {
-            filters.push({
-                date_modified: {
-                    $gte: lastSyncDate
-                }
-            });
-            console.log(`  🔍 Filter: date_modified >= ${new Date(lastSyncDate).toLocaleString()}`);
-        } else {
-            console.log(`  🔍 No date filter - fetching all records`);
-        }
+        // Prepare filters for SugarCRM API (date window and record IDs from task options)
+        const { filters, sinceDate, startAfter } = buildSyncFilters(getSyncStartPoint(syncRecord, moduleName), options);
+        advanceWatermark = shouldAdvanceWatermark(options, syncRecord);
         
         // Add status filter to get only active compliance officers
         filters.push({
@@ -78,6 +100,10 @@ export default async function SugarCRMCoToPortalUsers() {
             filters: filters,
             fields: fields,
             maxResults: 50, // Fetch 50 records per page
+            limit: options.limit,
+            // Keyset pagination orders by date_modified, id ascending; the order below is for --pagination offset
+            pagination: getPaginationMode(options),
+            startAfter,
             orderBy: 'date_modified',
             orderDirection: 'desc'
         };
@@ -92,80 +118,78 @@ export default async function SugarCRMCoToPortalUsers() {
             maxResults: apiConfig.maxResults
         });
         
-        // Fetch all records with pagination
-        const fetchResult = await fetchAllRecords(apiConfig, (records, response) => {
-            console.log(`  📄 Fetched page: ${records.length} records (Total so far: ${response.data.total_count})`);
+        const counts = createSyncCounts();
+        const delivery = createPageDelivery(metadata, {
+            options,
+            counts,
+            checkpoint,
+            sync: syncToPortalUsers,
+            label: 'Portal Users'
         });
         
-        const { records, total_fetched } = fetchResult;
+        // Stream the records: each page is transformed and pushed before the next one is fetched
+        for await (const page of iterateRecords(apiConfig)) {
+            const { records } = page;
+            counts.fetched += records.length;
+            checkpoint.addFetched(records);
+            console.log(`  📄 Fetched page ${page.number}: ${records.length} records (Total so far: ${counts.fetched})`);
+            
+            if (records.length === 0) {
+                continue;
+            }
+            
+            // Process the fetched records
+            console.log('\n🔄 Processing records for Portal Users sync...');
+            
+            const validationErrors = [];
+            const transformedRecords = await processRecordsForPortalUsers(records, validationErrors);
+            await delivery.deliver(page, transformedRecords, validationErrors);
+        }
         
-        console.log(`Total records fetched: ${total_fetched}`);
+        console.log(`Total records fetched: ${counts.fetched}`);
         
         // Log fetch results
         await Logger.info(`SugarCRM records fetched successfully`, {
             module: sugarCRMModule,
-            totalFetched: total_fetched,
-            recordsCount: records.length
+            totalFetched: counts.fetched
         });
         
-        if (records.length === 0) {
+        if (options.dryRun) {
+            await writeDryRunReport(taskName, {
+                sugarcrmModule: sugarCRMModule,
+                portalEndpoint: PORTAL_ENDPOINT,
+                options,
+                fetched: counts.fetched,
+                skippedUnchanged: counts.skipped_unchanged,
+                batches: delivery.dryRunBatches,
+                validationErrors: delivery.dryRunErrors
+            });
+            return counts;
+        }
+        
+        if (counts.fetched === 0) {
             console.log('\n✅ No new or modified records found - sync up to date');
         } else {
-            // Process the fetched records
-            console.log('\n🔄 Processing records for Portal Users sync...');
-            
-            const processedRecords = await processRecordsForPortalUsers(records);
-            
-            console.log(`\n📈 Processing Summary:`);
-            console.log(`  • Records processed: ${processedRecords.length}`);
-            
-            // Print all processed records before pushing to portal
-            console.log('\n📋 Complete Processed Records Array:');
-            console.log('─'.repeat(60));
-            console.log(JSON.stringify(processedRecords, null, 2));
-            console.log('─'.repeat(60));
-            
-            // Sync to Portal Users
-            console.log('\n  🔄 Syncing to Portal Users...');
-            const portalResponse = await syncToPortalUsers(processedRecords);
-            
-            // Log processing results
-            await Logger.dataProcessing(`Portal Users sync completed`, {
-                totalRecords: processedRecords.length,
-                responseData: portalResponse
+            console.log(`\n🎯 Portal Users Sync Totals: ${counts.sent} records sent, ${counts.skipped_unchanged} unchanged skipped`);
+            Object.entries(counts.portal_statuses).forEach(([status, count]) => {
+                console.log(`  • ${status}: ${count}`);
             });
-            
-            // Display results summary
-            if (portalResponse && portalResponse.length > 0) {
-                const statusCounts = {};
-                portalResponse.forEach(result => {
-                    statusCounts[result.internalStatus] = (statusCounts[result.internalStatus] || 0) + 1;
-                });
-                
-                console.log('\n🎯 Portal Users Sync Results:');
-                console.log(`  • Total Records: ${portalResponse.length}`);
-                Object.entries(statusCounts).forEach(([status, count]) => {
-                    console.log(`  • ${status}: ${count}`);
-                });
-                
-                await Logger.info(`Portal Users sync completed`, {
-                    totalRecords: portalResponse.length,
-                    statusCounts,
-                    portalResponse
-                });
-            }
         }
         
         // Update sync record on success
         const currentTimestamp = new Date().toISOString();
         await updateSyncRecord(moduleName, {
-            status: 'success',
-            last_sync_at: currentTimestamp,
+            // 'partial' when the portal rejected some records
+            status: getCompletedRunStatus(counts),
+            // The watermark moves to the newest delivered record; partial runs
+            // (see shouldAdvanceWatermark) keep the existing one
+            ...getCheckpointWatermark(checkpoint, { advanceWatermark, syncRecord }),
             metadata: {
-                records_fetched: total_fetched,
+                records_fetched: counts.fetched,
                 sugarcrm_module: sugarCRMModule,
                 sync_duration: currentTimestamp,
-                last_sync_date_used: lastSyncDate
+                last_sync_date_used: sinceDate,
+                task_options: options
             }
         });
         
@@ -174,10 +198,12 @@ export default async function SugarCRMCoToPortalUsers() {
         // Log task completion
         await Logger.taskComplete(taskName, {
             module: moduleName,
-            recordsProcessed: total_fetched,
+            recordsProcessed: counts.fetched,
             duration: Date.now() - Date.now()
         });
         
+        return counts;
+        
     } catch (error) {
         console.log(`\n❌ Sync failed: ${error.message}`);
         
@@ -188,13 +214,37 @@ export default async function SugarCRMCoToPortalUsers() {
             stack: error.stack
         });
         
-        // Update sync record with failure status
+        // Dry runs never touch the sync tracker
+        if (options.dryRun) {
+            throw error;
+        }
+
+        // The run never started (no sync record, or it could not be marked running)
+        if (!syncRecord) {
+            throw error;
+        }
+        
+        // Save how far the run got before it was stopped by SIGINT/SIGTERM
+        if (error instanceof TaskInterruptedError) {
+            try {
+                await markSyncInterrupted(moduleName, checkpoint, {
+                    error,
+                    advanceWatermark,
+                    syncRecord
+                });
+            } catch (updateError) {
+                console.log(`⚠️  Failed to update sync record: ${updateError.message}`);
+            }
+            throw error;
+        }
+        
+        // Update sync record with failure status (the watermark is left untouched)
         const currentTimestamp = new Date().toISOString();
         await updateSyncRecord(moduleName, {
             status: 'failed',
-            last_sync_at: currentTimestamp,
             metadata: {
                 error_message: error.message,
+                failure_reason: error instanceof TaskTimeoutError ? 'timeout' : 'error',
                 failed_at: currentTimestamp,
                 sugarcrm_module: sugarCRMModule
             }
@@ -207,9 +257,10 @@ export default async function SugarCRMCoToPortalUsers() {
 /**
  * Process SugarCRM Compliance Officer records for Portal Users sync
  * @param {Array} records - Array of SugarCRM Compliance Officer records
+ * @param {Array} validationErrors - Collects validation errors per record ({ sugar_id, errors })
  * @returns {Promise<Array>} Processed records ready for Portal Users sync
  */
-async function processRecordsForPortalUsers(records) {
+async function processRecordsForPortalUsers(records, validationErrors = []) {
     console.log('  🔄 Processing records with field transformation...');
     
     const processedRecords = [];
@@ -218,6 +269,9 @@ async function processRecordsForPortalUsers(records) {
         try {
             // Transform SugarCRM record to Portal Users format
             const transformation = await transformSugarcrmToPortal(record, 'sugarcrm_to_portal_users');
+            if (transformation.validationErrors.length > 0) {
+                validationErrors.push({ sugar_id: record.id, errors: transformation.validationErrors });
+            }
             
             // Create simple processed record with only essential fields
             const processed = {
@@ -234,6 +288,7 @@ async function processRecordsForPortalUsers(records) {
             
         } catch (error) {
             console.log(`    ⚠️  Error processing record ${record.id}: ${error.message}`);
+            validationErrors.push({ sugar_id: record.id, errors: [error.message] });
             processedRecords.push({
                 co_sugar_id: record.id || null,
                 co_name: record.name || null,
@@ -253,17 +308,18 @@ async function processRecordsForPortalUsers(records) {
 /**
  * Sync processed records to Portal Users
  * @param {Array} processedRecords - Array of processed records
- * @returns {Promise<Array>} Portal API response
+ * @returns {Promise<Object>} Portal API result ({ success, data, error, batches, failedBatches }, see callPortalAPI) -
+ *   data holds the responses of the delivered batches, failedBatches the batches that failed
  */
 async function syncToPortalUsers(processedRecords) {
     if (!processedRecords || processedRecords.length === 0) {
         console.log('  ⏭️  No records to sync');
-        return [];
+        return { success: true, data: [], batches: [], failedBatches: [] };
     }
     
     try {
         const response = await callPortalAPIWithEnv(
-            'api/integration/SugarComplianceOfficersToPortalUsers',
+            PORTAL_ENDPOINT,
             processedRecords,
             {
                 moduleName: 'ComplianceOfficers',
@@ -277,10 +333,11 @@ async function syncToPortalUsers(processedRecords) {
         if (response.success) {
             console.log(`    ✅ Portal sync completed successfully`);
             console.log(`    📊 Processed ${processedRecords.length} records`);
-            return response.data || [];
         } else {
-            throw new Error(`Portal API call failed: ${response.error}`);
+            // Failed batches are dead-lettered by the caller (see utils/pageDelivery.js)
+            console.log(`    ⚠️  Portal sync failed: ${response.error}`);
         }
+        return response;
         
     } catch (error) {
         console.log(`    ❌ Portal sync failed: ${error.message}`);
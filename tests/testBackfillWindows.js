@@ -0,0 +1,93 @@
+/**
+ * Test Backfill Windows
+ * Exercises the split of a backfill date range into day, week and month windows (utils/backfill.js)
+ */
+
+import { deepStrictEqual, throws } from 'assert';
+import { buildBackfillWindows } from '../utils/backfill.js';
+import { ConfigurationError } from '../utils/errors.js';
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Windows as [since, until] pairs
+ * @param {string} from - Start of the range
+ * @param {string} to - End of the range
+ * @param {string} windowSize - day, week or month
+ * @returns {Array<Array<string>>} [since, until] of each window
+ */
+function ranges(from, to, windowSize) {
+    return buildBackfillWindows(from, to, windowSize).map(window => [window.since, window.until]);
+}
+
+export default async function testBackfillWindows() {
+    console.log('🧪 Testing Backfill Windows');
+    console.log('===========================\n');
+
+    try {
+        console.log('📅 Month windows:');
+        check('partial first and last month, month ends', ranges('2025-01-15T00:00:00Z', '2025-03-10T00:00:00Z', 'month'), [
+            ['2025-01-15T00:00:00.000Z', '2025-01-31T23:59:59.000Z'],
+            ['2025-02-01T00:00:00.000Z', '2025-02-28T23:59:59.000Z'],
+            ['2025-03-01T00:00:00.000Z', '2025-03-10T00:00:00.000Z']
+        ]);
+        check('leap February', ranges('2024-02-01T00:00:00Z', '2024-03-01T00:00:00Z', 'month'), [
+            ['2024-02-01T00:00:00.000Z', '2024-02-29T23:59:59.000Z'],
+            ['2024-03-01T00:00:00.000Z', '2024-03-01T00:00:00.000Z']
+        ]);
+        check('year end', ranges('2025-12-31T12:00:00Z', '2026-01-01T06:00:00Z', 'month'), [
+            ['2025-12-31T12:00:00.000Z', '2025-12-31T23:59:59.000Z'],
+            ['2026-01-01T00:00:00.000Z', '2026-01-01T06:00:00.000Z']
+        ]);
+
+        console.log('\n📅 Week windows (Monday to Sunday):');
+        // 1 October 2025 is a Wednesday
+        check('first week ends on Sunday', ranges('2025-10-01T00:00:00Z', '2025-10-14T00:00:00Z', 'week'), [
+            ['2025-10-01T00:00:00.000Z', '2025-10-05T23:59:59.000Z'],
+            ['2025-10-06T00:00:00.000Z', '2025-10-12T23:59:59.000Z'],
+            ['2025-10-13T00:00:00.000Z', '2025-10-14T00:00:00.000Z']
+        ]);
+        check('starting on a Sunday', ranges('2025-10-05T08:00:00Z', '2025-10-06T08:00:00Z', 'week'), [
+            ['2025-10-05T08:00:00.000Z', '2025-10-05T23:59:59.000Z'],
+            ['2025-10-06T00:00:00.000Z', '2025-10-06T08:00:00.000Z']
+        ]);
+
+        console.log('\n📅 Day windows:');
+        check('two days', ranges('2025-10-01T00:00:00Z', '2025-10-02T12:00:00Z', 'day'), [
+            ['2025-10-01T00:00:00.000Z', '2025-10-01T23:59:59.000Z'],
+            ['2025-10-02T00:00:00.000Z', '2025-10-02T12:00:00.000Z']
+        ]);
+        check('range ending on a window boundary', ranges('2025-10-01T00:00:00Z', '2025-10-02T00:00:00Z', 'day'), [
+            ['2025-10-01T00:00:00.000Z', '2025-10-01T23:59:59.000Z'],
+            ['2025-10-02T00:00:00.000Z', '2025-10-02T00:00:00.000Z']
+        ]);
+        check('from equals to', ranges('2025-10-01T10:00:00Z', '2025-10-01T10:00:00Z', 'day'), [
+            ['2025-10-01T10:00:00.000Z', '2025-10-01T10:00:00.000Z']
+        ]);
+        check('from after to', ranges('2025-10-02T00:00:00Z', '2025-10-01T00:00:00Z', 'day'), []);
+
+        console.log('\n🔗 Windows are contiguous (until = next since - 1s) and pending:');
+        const windows = buildBackfillWindows('2024-01-01T00:00:00Z', '2024-12-31T23:59:59Z', 'month');
+        check('12 months', windows.length, 12);
+        check('no gap or overlap', windows.slice(1).every((window, index) => new Date(window.since) - new Date(windows[index].until) === 1000), true);
+        check('status pending', windows.every(window => window.status === 'pending'), true);
+
+        throws(() => buildBackfillWindows('2025-10-01T00:00:00Z', '2025-10-02T00:00:00Z', 'year'), ConfigurationError);
+        console.log('  ✅ unknown window size is rejected');
+
+        console.log('\n🎉 Backfill windows test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Test Cron Schedule
+ * Exercises cron expression parsing and next-fire calculation (utils/cronSchedule.js)
+ */
+
+import { deepStrictEqual, throws } from 'assert';
+import { parseCronExpression, getNextFireTime } from '../utils/cronSchedule.js';
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Format a local date as YYYY-MM-DD HH:MM
+ * @param {Date} date - Date
+ * @returns {string} Local date and time
+ */
+function formatLocal(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Next fire time of an expression from a local date, formatted
+ * @param {string} expression - Cron expression
+ * @param {Array<number>} from - [year, monthIndex, day, hour, minute] (local time)
+ * @returns {string} Next fire time (YYYY-MM-DD HH:MM)
+ */
+function nextFire(expression, from) {
+    return formatLocal(getNextFireTime(expression, new Date(...from)));
+}
+
+/**
+ * Get the restricted flags of a parsed schedule
+ * @param {Object} schedule - Parsed schedule
+ * @returns {Array<boolean>} [dayOfMonthRestricted, dayOfWeekRestricted]
+ */
+function restrictedFlags(schedule) {
+    return [schedule.dayOfMonthRestricted, schedule.dayOfWeekRestricted];
+}
+
+export default async function testCronSchedule() {
+    console.log('🧪 Testing Cron Schedule');
+    console.log('========================\n');
+
+    try {
+        console.log('📋 Parsing:');
+        check('*/15 minutes', [...parseCronExpression('*/15 * * * *').minutes], [0, 15, 30, 45]);
+        check('range with step 1-10/3', [...parseCronExpression('0 1-10/3 * * *').hours], [1, 4, 7, 10]);
+        check('list 1,15,30', [...parseCronExpression('0 0 1,15,30 * *').daysOfMonth], [1, 15, 30]);
+        check('"5/20" starts at 5', [...parseCronExpression('5/20 * * * *').minutes], [5, 25, 45]);
+        check('@hourly alias', [...parseCronExpression('@hourly').minutes], [0]);
+        check('7 is Sunday', [...parseCronExpression('0 0 * * 7').daysOfWeek], [0]);
+
+        check('* day fields are not restricted', restrictedFlags(parseCronExpression('0 0 * * *')), [false, false]);
+        check('*/1 day of month is not restricted', restrictedFlags(parseCronExpression('0 0 */1 * 1')), [false, true]);
+        check('0-6 / 0-7 day of week is not restricted', restrictedFlags(parseCronExpression('0 0 1 * 0-7')), [true, false]);
+        check('1-31 day of month is not restricted', restrictedFlags(parseCronExpression('0 0 1-31 * 1')), [false, true]);
+        check('*/2 day of month is restricted', restrictedFlags(parseCronExpression('0 0 */2 * *')), [true, false]);
+
+        throws(() => parseCronExpression('* * * *'), /expected 5 fields/);
+        throws(() => parseCronExpression('60 * * * *'), /Invalid value/);
+        throws(() => parseCronExpression('*/0 * * * *'), /Invalid step/);
+        throws(() => parseCronExpression('0 0 10-5 * *'), /Invalid value/);
+        throws(() => parseCronExpression(''), /required/);
+        console.log('  ✅ invalid expressions are rejected');
+
+        console.log('\n⏭️  Next fire time (strictly after the reference, local time):');
+        check('daily 09:00 from 08:59', nextFire('0 9 * * *', [2026, 0, 1, 8, 59]), '2026-01-01 09:00');
+        check('daily 09:00 from 09:00 is the next day', nextFire('0 9 * * *', [2026, 0, 1, 9, 0]), '2026-01-02 09:00');
+        check('every 15 minutes from 10:14', nextFire('*/15 * * * *', [2026, 0, 1, 10, 14]), '2026-01-01 10:15');
+        check('every 15 minutes rolls over the hour', nextFire('*/15 * * * *', [2026, 0, 1, 10, 45]), '2026-01-01 11:00');
+        check('year end rollover', nextFire('0 0 1 * *', [2026, 11, 31, 23, 59]), '2027-01-01 00:00');
+        check('31st skips short months', nextFire('0 0 31 * *', [2026, 0, 31, 0, 0]), '2026-03-31 00:00');
+        check('29 February waits for a leap year', nextFire('0 0 29 2 *', [2026, 2, 1, 0, 0]), '2028-02-29 00:00');
+        check('weekly on Sunday', nextFire('@weekly', [2026, 0, 1, 0, 0]), '2026-01-04 00:00');
+
+        // 1 January 2026 is a Thursday
+        check('both day fields restricted: either matches (Friday 2nd)', nextFire('0 0 13 * 5', [2026, 0, 1, 0, 0]), '2026-01-02 00:00');
+        check('*/1 day of month: only the weekday applies (Monday 5th)', nextFire('0 0 */1 * 1', [2026, 0, 1, 0, 0]), '2026-01-05 00:00');
+        check('day of month with * weekday', nextFire('0 0 15 * *', [2026, 0, 1, 0, 0]), '2026-01-15 00:00');
+
+        throws(() => getNextFireTime('0 0 31 2 *', new Date(2026, 0, 1)), /never fires/);
+        console.log('  ✅ impossible dates are reported');
+
+        console.log('\n🎉 Cron schedule test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Test File Lock
+ * Exercises exclusive lock files and stale lock takeover (utils/fileLock.js)
+ */
+
+import { deepStrictEqual } from 'assert';
+import { mkdtemp, writeFile, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { tryAcquireFileLock } from '../utils/fileLock.js';
+
+// Takeover attempts raced against each other
+const RACE_ROUNDS = 50;
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Write a lock file left behind by a run on another host long ago
+ * @param {string} lockPath - Lock file path
+ */
+async function writeStaleLock(lockPath) {
+    await writeFile(lockPath, JSON.stringify({ pid: 1, host: 'another-host', acquired_at: '2000-01-01T00:00:00.000Z' }), 'utf8');
+}
+
+export default async function testFileLock() {
+    console.log('🧪 Testing File Lock');
+    console.log('====================\n');
+
+    const dir = await mkdtemp(join(tmpdir(), 'file-lock-test-'));
+    try {
+        const lockPath = join(dir, 'task.lock');
+
+        console.log('🔒 Exclusive lock:');
+        const lock = await tryAcquireFileLock(lockPath);
+        check('first caller gets the lock', lock !== null, true);
+        check('second caller is refused', await tryAcquireFileLock(lockPath), null);
+        await lock.release();
+        const again = await tryAcquireFileLock(lockPath);
+        check('lock can be taken after release', again !== null, true);
+        await again.release();
+
+        console.log('\n🧹 Stale lock:');
+        await writeStaleLock(lockPath);
+        const takeover = await tryAcquireFileLock(lockPath);
+        check('stale lock is taken over', takeover?.owner.pid, process.pid);
+        await takeover.release();
+
+        console.log(`\n🏁 Two acquirers racing for a stale lock (${RACE_ROUNDS} rounds):`);
+        const winners = [];
+        for (let round = 0; round < RACE_ROUNDS; round++) {
+            await writeStaleLock(lockPath);
+            const locks = await Promise.all([
+                tryAcquireFileLock(lockPath, { details: { caller: 'a' } }),
+                tryAcquireFileLock(lockPath, { details: { caller: 'b' } })
+            ]);
+            const held = locks.filter(Boolean);
+            winners.push(held.length);
+            await Promise.all(held.map(handle => handle.release()));
+        }
+        check('exactly one acquirer wins every round', winners.every(count => count === 1), true);
+        check('no lock or claim files left behind', await readdir(dir), []);
+
+        console.log('\n🎉 File lock test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Test Page Delivery
+ * Exercises failed-batch isolation across pages (utils/pageDelivery.js): a page whose only
+ * portal batch fails is dead-lettered and held back from the watermark, the next page is still sent
+ */
+
+import { deepStrictEqual, rejects } from 'assert';
+import { rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createPageDelivery } from '../utils/pageDelivery.js';
+import { createSyncCheckpoint } from '../utils/syncCheckpoint.js';
+import { createSyncCounts } from '../utils/taskResult.js';
+import { listDeadLetters } from '../utils/deadLetters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test-only module and mapping, so the test never touches the data of a real task
+const metadata = {
+    mappingKey: 'test_page_delivery',
+    syncModule: 'TestPageDelivery'
+};
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Build a page of SugarCRM-like records
+ * @param {number} number - Page number
+ * @param {Array<string>} ids - Record ids (date_modified follows the order of the pages)
+ * @returns {Object} { number, records }
+ */
+function page(number, ids) {
+    return {
+        number,
+        records: ids.map((id, index) => ({ id, date_modified: new Date(Date.UTC(2025, 9, number, 0, index)).toISOString() }))
+    };
+}
+
+/**
+ * Portal payloads of a page
+ * @param {Object} sugarPage - Page from page()
+ * @returns {Array<Object>} { sugarcrm_id } per record
+ */
+function payloads(sugarPage) {
+    return sugarPage.records.map(record => ({ sugarcrm_id: record.id }));
+}
+
+/**
+ * callPortalAPI result of a single batch the portal answered with an error status
+ * @param {Array} processedRecords - Records of the batch
+ * @param {number} status - HTTP status
+ * @returns {Object} Failed result
+ */
+function failedResult(processedRecords, status) {
+    const failedBatch = { index: 0, offset: 0, size: processedRecords.length, success: false, status, error: `HTTP ${status}` };
+    return { success: false, error: failedBatch.error, status, batches: [failedBatch], failedBatches: [failedBatch] };
+}
+
+/**
+ * callPortalAPI result of a single batch the portal accepted
+ * @param {Array} processedRecords - Records of the batch
+ * @returns {Object} Successful result
+ */
+function deliveredResult(processedRecords) {
+    const data = processedRecords.map(record => ({ sugarId: record.sugarcrm_id, portalId: `p-${record.sugarcrm_id}`, internalStatus: 'Created' }));
+    const batch = { index: 0, offset: 0, size: processedRecords.length, success: true, status: 200, error: null };
+    return { success: true, data, status: 200, batches: [batch], failedBatches: [] };
+}
+
+/**
+ * Remove the dead letters and record hashes written by the test
+ */
+async function cleanup() {
+    await rm(join(__dirname, '..', 'data', 'dlq', `${metadata.syncModule}.json`), { force: true });
+    await rm(join(__dirname, '..', 'data', 'record_hashes', `${metadata.mappingKey}.json`), { force: true });
+}
+
+export default async function testPageDelivery() {
+    console.log('🧪 Testing Page Delivery');
+    console.log('========================\n');
+
+    await cleanup();
+    try {
+        console.log('📄 The only batch of page 1 fails, page 2 is delivered:');
+        const counts = createSyncCounts();
+        const checkpoint = createSyncCheckpoint();
+        const sent = [];
+        const delivery = createPageDelivery(metadata, {
+            options: {},
+            counts,
+            checkpoint,
+            label: 'Test',
+            sync: async (processedRecords) => {
+                sent.push(processedRecords.map(record => record.sugarcrm_id));
+                return sent.length === 1 ? failedResult(processedRecords, 500) : deliveredResult(processedRecords);
+            }
+        });
+
+        const first = page(1, ['a1', 'a2']);
+        const second = page(2, ['b1', 'b2', 'b3']);
+        for (const sugarPage of [first, second]) {
+            checkpoint.addFetched(sugarPage.records);
+            await delivery.deliver(sugarPage, payloads(sugarPage));
+        }
+
+        check('both pages sent', sent, [['a1', 'a2'], ['b1', 'b2', 'b3']]);
+        check('failed batch counted', counts.batch_failed, 2);
+        check('delivered records counted', counts.sent, 3);
+        check('portal statuses of page 2', counts.portal_statuses, { Created: 3 });
+        check('failed records dead-lettered', (await listDeadLetters({ module: metadata.syncModule })).map(entry => entry.sugar_id).sort(), ['a1', 'a2']);
+        check('watermark held back before page 1', checkpoint.getCheckpoint(), null);
+        checkpoint.markDelivered(first.records);
+        check('page 2 marked delivered', checkpoint.getCheckpoint().id, 'b3');
+
+        console.log('\n🔌 A portal that cannot be reached stops the run:');
+        const unreachable = createPageDelivery(metadata, {
+            options: {},
+            counts: createSyncCounts(),
+            checkpoint: createSyncCheckpoint(),
+            label: 'Test',
+            sync: async (processedRecords) => failedResult(processedRecords, 0)
+        });
+        await rejects(() => unreachable.deliver(page(3, ['c1']), payloads(page(3, ['c1']))), /Portal API call failed/);
+        console.log('  ✅ run fails when no batch got an HTTP response');
+
+        console.log('\n🎉 Page delivery test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    } finally {
+        await cleanup();
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Test Portal Batches
+ * Exercises the split of portal payloads by record count and JSON body size (utils/portalBatching.js)
+ */
+
+import { deepStrictEqual } from 'assert';
+import { splitIntoBatches } from '../utils/portalBatching.js';
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Build records whose JSON is exactly 12 bytes: {"v":"0000"}
+ * @param {number} count - Number of records
+ * @returns {Array<Object>} Records
+ */
+function smallRecords(count) {
+    return Array.from({ length: count }, (_, index) => ({ v: String(index).padStart(4, '0') }));
+}
+
+/**
+ * Describe batches as [offset, size] pairs
+ * @param {Array<Object>} batches - Batches from splitIntoBatches
+ * @returns {Array<Array<number>>} [offset, size] of each batch
+ */
+function shape(batches) {
+    return batches.map(batch => [batch.offset, batch.records.length]);
+}
+
+export default async function testPortalBatches() {
+    console.log('🧪 Testing Portal Batches');
+    console.log('=========================\n');
+
+    try {
+        const unlimited = Number.MAX_SAFE_INTEGER;
+
+        console.log('🔢 By record count:');
+        check('7 records, 3 per batch', shape(splitIntoBatches(smallRecords(7), { maxRecords: 3, maxBytes: unlimited })), [[0, 3], [3, 3], [6, 1]]);
+        check('exact multiple', shape(splitIntoBatches(smallRecords(6), { maxRecords: 3, maxBytes: unlimited })), [[0, 3], [3, 3]]);
+        check('fewer records than the limit', shape(splitIntoBatches(smallRecords(2), { maxRecords: 100, maxBytes: unlimited })), [[0, 2]]);
+        check('one record per batch', shape(splitIntoBatches(smallRecords(3), { maxRecords: 1, maxBytes: unlimited })), [[0, 1], [1, 1], [2, 1]]);
+        check('no records: one empty batch', shape(splitIntoBatches([], { maxRecords: 3, maxBytes: unlimited })), [[0, 0]]);
+
+        console.log('\n📏 By body size ([a,b,c] is 2 + 12n + (n - 1) bytes for 12-byte records):');
+        check('3 records fit in exactly 40 bytes', shape(splitIntoBatches(smallRecords(7), { maxRecords: 100, maxBytes: 40 })), [[0, 3], [3, 3], [6, 1]]);
+        check('39 bytes only fit 2 records', shape(splitIntoBatches(smallRecords(5), { maxRecords: 100, maxBytes: 39 })), [[0, 2], [2, 2], [4, 1]]);
+        check('record count limit applies first', shape(splitIntoBatches(smallRecords(5), { maxRecords: 2, maxBytes: 1000 })), [[0, 2], [2, 2], [4, 1]]);
+
+        const oversized = [{ v: '0000' }, { v: 'x'.repeat(100) }, { v: '0001' }];
+        check('oversized record is sent alone', shape(splitIntoBatches(oversized, { maxRecords: 100, maxBytes: 40 })), [[0, 1], [1, 1], [2, 1]]);
+
+        // '€' is one character but three bytes
+        const multibyte = Array.from({ length: 4 }, () => ({ v: '€€€€' }));
+        check('sizes are counted in bytes, not characters', shape(splitIntoBatches(multibyte, { maxRecords: 100, maxBytes: 43 })), [[0, 2], [2, 2]]);
+
+        console.log('\n🔗 Batches keep every record, in order, within the limits:');
+        const records = Array.from({ length: 50 }, (_, index) => ({ id: `id-${index}`, note: 'n'.repeat(index * 7 % 40) }));
+        const batches = splitIntoBatches(records, { maxRecords: 8, maxBytes: 300 });
+        check('records in order', batches.flatMap(batch => batch.records), records);
+        check('offsets match positions', batches.every(batch => records[batch.offset] === batch.records[0]), true);
+        check('bodies within maxBytes', batches.every(batch => Buffer.byteLength(JSON.stringify(batch.records)) <= 300), true);
+        check('batches within maxRecords', batches.every(batch => batch.records.length <= 8), true);
+
+        console.log('\n🎉 Portal batches test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Test Sync Checkpoint
+ * Exercises record ordering, the contiguous delivered checkpoint and watermark updates
+ * (utils/syncWatermark.js, utils/syncCheckpoint.js)
+ */
+
+import { deepStrictEqual } from 'assert';
+import { compareRecordPosition, buildWatermarkUpdate } from '../utils/syncWatermark.js';
+import { createSyncCheckpoint } from '../utils/syncCheckpoint.js';
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Build a SugarCRM-like record
+ * @param {string} id - Record id
+ * @param {string} dateModified - date_modified (ISO)
+ * @returns {Object} { id, date_modified }
+ */
+function record(id, dateModified) {
+    return { id, date_modified: dateModified };
+}
+
+export default async function testSyncCheckpoint() {
+    console.log('🧪 Testing Sync Checkpoint');
+    console.log('==========================\n');
+
+    try {
+        const a = record('a', '2025-10-01T10:00:00Z');
+        const b = record('b', '2025-10-01T10:00:00Z');
+        const c = record('c', '2025-10-01T10:00:01Z');
+        const d = record('d', '2025-10-01T10:00:02Z');
+
+        console.log('📋 Record order (date_modified, then id):');
+        check('older date sorts first', Math.sign(compareRecordPosition(a, c)), -1);
+        check('same date: id decides', Math.sign(compareRecordPosition(b, a)), 1);
+        check('same record is equal', compareRecordPosition(a, record('a', '2025-10-01T10:00:00.000Z')), 0);
+        check('offsets are compared as instants', Math.sign(compareRecordPosition(record('x', '2025-10-01T12:00:00+02:00'), c)), -1);
+        check('sorting', [d, c, b, a].sort(compareRecordPosition).map(item => item.id), ['a', 'b', 'c', 'd']);
+
+        console.log('\n📍 Checkpoint (newest record up to which everything was delivered):');
+        let checkpoint = createSyncCheckpoint();
+        check('nothing fetched', checkpoint.getCheckpoint(), null);
+
+        checkpoint.addFetched([a, b, c, d]);
+        check('nothing delivered', checkpoint.getCheckpoint(), null);
+
+        checkpoint.markDelivered([a, b, c, d]);
+        check('everything delivered: newest record', checkpoint.getCheckpoint(), { id: 'd', date_modified: d.date_modified });
+
+        checkpoint = createSyncCheckpoint();
+        checkpoint.addFetched([a, b, c, d]);
+        checkpoint.markDelivered([a, c, d]);
+        check('gap at b: stops at a', checkpoint.getCheckpoint(), { id: 'a', date_modified: a.date_modified });
+
+        checkpoint = createSyncCheckpoint();
+        checkpoint.addFetched([d, c]);
+        checkpoint.addFetched([b, a]);
+        checkpoint.markDelivered([b, a, c]);
+        check('pages in any order, d undelivered: stops at c', checkpoint.getCheckpoint(), { id: 'c', date_modified: c.date_modified });
+
+        checkpoint = createSyncCheckpoint();
+        checkpoint.addFetched([a, b]);
+        checkpoint.markDelivered([b]);
+        check('oldest undelivered: no checkpoint', checkpoint.getCheckpoint(), null);
+
+        console.log('\n💧 Watermark update:');
+        const keep = { last_sync_at: undefined, last_sync_id: undefined };
+        check('no position keeps the watermark', buildWatermarkUpdate(null, { last_sync_at: a.date_modified }), keep);
+        check('first watermark', buildWatermarkUpdate(c, null), { last_sync_at: '2025-10-01T10:00:01.000Z', last_sync_id: 'c' });
+        check('moves forward', buildWatermarkUpdate(d, { last_sync_at: c.date_modified, last_sync_id: 'c' }), { last_sync_at: '2025-10-01T10:00:02.000Z', last_sync_id: 'd' });
+        check('same date, later id moves forward', buildWatermarkUpdate(b, { last_sync_at: a.date_modified, last_sync_id: 'a' }), { last_sync_at: '2025-10-01T10:00:00.000Z', last_sync_id: 'b' });
+        check('never moves backwards', buildWatermarkUpdate(a, { last_sync_at: c.date_modified, last_sync_id: 'c' }), keep);
+        check('same position keeps the watermark', buildWatermarkUpdate(c, { last_sync_at: c.date_modified, last_sync_id: 'c' }), keep);
+
+        console.log('\n🎉 Sync checkpoint test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    }
+}
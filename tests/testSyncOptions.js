@@ -0,0 +1,66 @@
+/**
+ * Test Sync Options
+ * Exercises when a run may advance the watermark (utils/syncOptions.js) and how --until
+ * is parsed (utils/cliArgs.js)
+ */
+
+import { deepStrictEqual } from 'assert';
+import { shouldAdvanceWatermark } from '../utils/syncOptions.js';
+import { parseTaskArgs } from '../utils/cliArgs.js';
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is checked
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ */
+function check(label, actual, expected) {
+    deepStrictEqual(actual, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    console.log(`  ✅ ${label}`);
+}
+
+/**
+ * Parse command line arguments into task options
+ * @param {string} args - Space-separated arguments
+ * @returns {Object} Task options
+ */
+function parseOptions(args) {
+    return parseTaskArgs(args.split(' ')).options;
+}
+
+export default async function testSyncOptions() {
+    console.log('🧪 Testing Sync Options');
+    console.log('=======================\n');
+
+    try {
+        const syncRecord = { module_name: 'Members', last_sync_at: '2025-10-01T00:00:00.000Z' };
+
+        console.log('💧 Watermark advance:');
+        check('incremental run', shouldAdvanceWatermark({}, syncRecord), true);
+        check('--since before the watermark', shouldAdvanceWatermark(parseOptions('--since 2025-09-01'), syncRecord), true);
+        check('--since equal to the watermark', shouldAdvanceWatermark(parseOptions('--since 2025-10-01T00:00:00Z'), syncRecord), true);
+        check('--since after the watermark', shouldAdvanceWatermark(parseOptions('--since 2025-10-02'), syncRecord), false);
+        check('--since without a watermark', shouldAdvanceWatermark(parseOptions('--since 2025-09-01'), { module_name: 'Members', last_sync_at: null }), false);
+        check('--date-field date_entered', shouldAdvanceWatermark(parseOptions('--date-field date_entered'), syncRecord), false);
+        check('--date-field date_modified', shouldAdvanceWatermark(parseOptions('--date-field date_modified'), syncRecord), true);
+        check('--until', shouldAdvanceWatermark(parseOptions('--until 2025-10-05'), syncRecord), false);
+        check('--ids', shouldAdvanceWatermark(parseOptions('--ids a,b'), syncRecord), false);
+        check('--limit', shouldAdvanceWatermark(parseOptions('--limit 10'), syncRecord), false);
+        check('--no-watermark', shouldAdvanceWatermark(parseOptions('--no-watermark'), syncRecord), false);
+
+        console.log('\n📅 --until:');
+        check('date only includes the whole day', parseOptions('--until 2025-01-31').until, '2025-01-31T23:59:59.999Z');
+        check('date and time are kept', parseOptions('--until 2025-01-31T10:00:00Z').until, '2025-01-31T10:00:00.000Z');
+        check('--since date only is the start of the day', parseOptions('--since 2025-01-31').since, '2025-01-31T00:00:00.000Z');
+        check('--since and --until on the same day', parseOptions('--since 2025-01-31 --until 2025-01-31'), {
+            since: '2025-01-31T00:00:00.000Z',
+            until: '2025-01-31T23:59:59.999Z'
+        });
+
+        console.log('\n🎉 Sync options test completed!');
+
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        throw error;
+    }
+}
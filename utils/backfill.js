@@ -0,0 +1,253 @@
+/**
+ * Backfill Utility
+ * Re-syncs every record of a task in a date range, one date window (day, week or month) per run.
+ * Progress is saved to data/backfill/<taskName>.json after every window, so a backfill that crashed
+ * or was stopped resumes at the first unfinished window. Windows never move the sync watermark.
+ */
+
+import { readFile, unlink } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+import { onShutdown, getShutdownSignal } from './shutdown.js';
+import { countPortalFailures } from './taskResult.js';
+import { writeJsonFileAtomic, queueFileUpdate } from './jsonFile.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BACKFILL_DIR = join(__dirname, '..', 'data', 'backfill');
+
+// Window runs that count as done; any other status stops the backfill at that window
+const COMPLETED_WINDOW_STATUSES = ['success', 'partial'];
+
+/**
+ * Get the start of the window after the one containing a date (UTC calendar boundaries)
+ * @param {Date} date - Date inside the window
+ * @param {string} windowSize - 'day', 'week' (starting on Monday) or 'month'
+ * @returns {Date} Start of the next window
+ */
+function getNextWindowStart(date, windowSize) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (windowSize) {
+        case 'day':
+            return new Date(Date.UTC(year, month, day + 1));
+        case 'week':
+            // getUTCDay() is 0 for Sunday; weeks start on Monday
+            return new Date(Date.UTC(year, month, day + 7 - ((date.getUTCDay() + 6) % 7)));
+        case 'month':
+            return new Date(Date.UTC(year, month + 1, 1));
+        default:
+            throw new ConfigurationError(`Unknown backfill window '${windowSize}' (expected: day, week, month)`);
+    }
+}
+
+/**
+ * Split a date range into windows
+ * Each window covers [since, until] with until one second before the next window starts
+ * (SugarCRM dates have second precision), so no record falls into two windows.
+ * @param {string} from - Start of the range (ISO date)
+ * @param {string} to - End of the range, inclusive (ISO date)
+ * @param {string} windowSize - 'day', 'week' or 'month'
+ * @returns {Array<Object>} Windows: { since, until, status: 'pending' }
+ */
+export function buildBackfillWindows(from, to, windowSize) {
+    const end = new Date(to);
+    const windows = [];
+
+    for (let start = new Date(from); start <= end; start = getNextWindowStart(start, windowSize)) {
+        const nextStart = getNextWindowStart(start, windowSize);
+        const until = new Date(Math.min(nextStart.getTime() - 1000, end.getTime()));
+        windows.push({ since: start.toISOString(), until: until.toISOString(), status: 'pending' });
+    }
+
+    return windows;
+}
+
+/**
+ * Get the progress file of a task's backfill
+ * @param {string} taskName - Task name
+ * @returns {string} File path
+ */
+function getProgressPath(taskName) {
+    return join(BACKFILL_DIR, `${taskName}.json`);
+}
+
+/**
+ * Load the saved progress of a task's backfill
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object|null>} Progress, or null if no backfill was started
+ */
+async function loadBackfillProgress(taskName) {
+    try {
+        return JSON.parse(await readFile(getProgressPath(taskName), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to load backfill progress for ${taskName}: ${error.message}`);
+    }
+}
+
+/**
+ * Save the progress of a backfill (atomic write, so a crash never leaves a partial file)
+ * Saves of one file run one at a time, so an older snapshot never lands after a newer one.
+ * @param {Object} progress - Backfill progress
+ */
+async function saveBackfillProgress(progress) {
+    const filePath = getProgressPath(progress.task);
+
+    progress.updated_at = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(progress));
+    await queueFileUpdate(filePath, () => writeJsonFileAtomic(filePath, snapshot));
+}
+
+/**
+ * Check whether saved progress belongs to a backfill with the same settings
+ * @param {Object} progress - Saved progress
+ * @param {Object} settings - { from, to, window, date_field } (to may be null: use the saved one)
+ * @returns {boolean} True if the backfill can be resumed with these settings
+ */
+function isSameBackfill(progress, settings) {
+    return progress.from === settings.from &&
+        progress.window === settings.window &&
+        progress.date_field === settings.date_field &&
+        (!settings.to || progress.to === settings.to);
+}
+
+/**
+ * Run (or resume) a backfill of a task
+ * Every window is a normal task run with --since/--until set to the window and --no-watermark.
+ * Window runs keep their status in metadata.backfill of the module's sync record (see updateSyncRecord),
+ * so the incremental sync's status and metadata stay as they were.
+ * The backfill stops at the first window that does not complete (failed, timeout, locked, interrupted);
+ * running the same command again resumes there.
+ * @param {string} taskName - Task name
+ * @param {Object} options - Parsed command line options
+ * @param {string} options.since - Start of the range (required)
+ * @param {string} options.until - End of the range (default: now, or the saved range when resuming)
+ * @param {string} options.window - 'day', 'week' or 'month' (default: month)
+ * @param {string} options.dateField - 'date_entered' (default) or 'date_modified'
+ * @param {number} options.pace - Seconds to wait between windows
+ * @param {boolean} options.restart - Discard saved progress
+ * @param {boolean} options.dryRun - Run the windows as dry runs (progress is not saved)
+ * @param {Function} runTask - Async function (taskName, taskOptions) returning a task result
+ * @returns {Promise<Object>} { progress, results } - final progress and the task result of every window run
+ * @throws {ConfigurationError} If options are missing, or saved progress has different settings
+ */
+export async function runBackfill(taskName, options, runTask) {
+    const { since, until, window: windowSize = 'month', dateField = 'date_entered', pace = 0, restart = false, ...taskOptions } = options;
+
+    if (!taskName || !since) {
+        throw new ConfigurationError('Usage: node index.js backfill <taskName> --since <date> [--until <date>] [--window day|week|month] [--date-field date_entered|date_modified] [--pace <seconds>] [--restart]');
+    }
+    if (taskOptions.ids || taskOptions.limit) {
+        throw new ConfigurationError('--ids and --limit cannot be used with backfill');
+    }
+
+    const settings = { from: since, to: until || null, window: windowSize, date_field: dateField };
+    // Dry runs neither read nor write saved progress
+    const persist = !taskOptions.dryRun;
+
+    let progress = persist && !restart ? await loadBackfillProgress(taskName) : null;
+    if (progress && !isSameBackfill(progress, settings)) {
+        throw new ConfigurationError(
+            `A backfill of ${taskName} with different settings was started (${progress.from} → ${progress.to}, ` +
+            `${progress.window} windows on ${progress.date_field}). Use --restart to discard its progress.`
+        );
+    }
+
+    if (progress) {
+        const done = progress.windows.filter(window => window.status === 'done').length;
+        console.log(`♻️  Resuming backfill of ${taskName}: ${done}/${progress.windows.length} window(s) already done`);
+    } else {
+        if (restart) {
+            await unlink(getProgressPath(taskName)).catch(() => {});
+        }
+        const to = until || new Date().toISOString();
+        progress = {
+            task: taskName,
+            from: since,
+            to,
+            window: windowSize,
+            date_field: dateField,
+            status: 'in_progress',
+            started_at: new Date().toISOString(),
+            windows: buildBackfillWindows(since, to, windowSize)
+        };
+        console.log(`🧱 Starting backfill of ${taskName}: ${progress.from} → ${progress.to}, ${progress.windows.length} ${windowSize} window(s) on ${dateField}`);
+    }
+
+    await Logger.info(`Backfill of ${taskName} started`, { taskName, ...settings, to: progress.to, pace });
+
+    // Stops the pause between windows as soon as a shutdown is requested
+    const pauseController = new AbortController();
+    onShutdown(() => pauseController.abort());
+
+    const results = [];
+    progress.status = 'in_progress';
+
+    for (const [index, window] of progress.windows.entries()) {
+        if (window.status === 'done') {
+            continue;
+        }
+
+        if (results.length > 0 && pace > 0) {
+            console.log(`⏸️  Waiting ${pace}s before the next window`);
+            await sleep(pace * 1000, undefined, { signal: pauseController.signal }).catch(() => {});
+        }
+        if (getShutdownSignal()) {
+            break;
+        }
+
+        console.log(`\n🧱 Window ${index + 1}/${progress.windows.length}: ${window.since} → ${window.until}`);
+        const result = await runTask(taskName, {
+            ...taskOptions,
+            since: window.since,
+            until: window.until,
+            dateField,
+            noWatermark: true,
+            backfill: true
+        });
+        results.push(result);
+
+        Object.assign(window, {
+            status: COMPLETED_WINDOW_STATUSES.includes(result.status) ? 'done' : 'failed',
+            run_id: result.run_id,
+            run_status: result.status,
+            fetched: result.counts?.fetched ?? null,
+            sent: result.counts?.sent ?? null,
+            failed: result.counts ? countPortalFailures(result.counts) : null,
+            finished_at: result.finished_at,
+            error: result.error?.message || null
+        });
+        if (persist) {
+            await saveBackfillProgress(progress);
+        }
+
+        if (window.status !== 'done') {
+            console.log(`⛔ Window ${window.since} → ${window.until} did not complete (${result.status}) - run the same command again to resume`);
+            break;
+        }
+    }
+
+    const remaining = progress.windows.filter(window => window.status !== 'done').length;
+    progress.status = remaining === 0 ? 'completed' : 'stopped';
+    if (persist) {
+        await saveBackfillProgress(progress);
+    }
+
+    console.log(`\n🧱 Backfill of ${taskName} ${progress.status}: ${progress.windows.length - remaining}/${progress.windows.length} window(s) done`);
+    await Logger.info(`Backfill of ${taskName} ${progress.status}`, {
+        taskName,
+        windowsDone: progress.windows.length - remaining,
+        windowsTotal: progress.windows.length
+    });
+
+    return { progress, results };
+}
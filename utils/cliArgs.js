@@ -0,0 +1,133 @@
+/**
+ * Command Line Arguments Utility
+ * Parses task options passed on the command line
+ */
+
+// Supported options: name -> { type, key, value placeholder, description } (choice options also list their choices;
+// date options with endOfDay read a date without a time as the end of that day, UTC)
+const OPTION_DEFINITIONS = {
+    since: { type: 'date', key: 'since', valueName: '<date>', description: 'Fetch records modified on/after this date (overrides last sync date)' },
+    until: { type: 'date', key: 'until', valueName: '<date>', endOfDay: true, description: 'Fetch records modified on/before this date (a date without a time includes the whole day)' },
+    ids: { type: 'list', key: 'ids', valueName: '<id,id,...>', description: 'Fetch only these SugarCRM record IDs' },
+    limit: { type: 'integer', key: 'limit', valueName: '<n>', description: 'Fetch at most n records' },
+    'no-watermark': { type: 'flag', key: 'noWatermark', description: 'Do not advance last_sync_at after the run' },
+    'date-field': { type: 'choice', key: 'dateField', choices: ['date_modified', 'date_entered'], valueName: '<field>', description: 'Field --since/--until apply to: date_modified (default) or date_entered' },
+    pagination: { type: 'choice', key: 'pagination', choices: ['keyset', 'offset'], valueName: '<mode>', description: 'SugarCRM pagination: keyset (default, date_modified/id cursor) or offset' },
+    force: { type: 'flag', key: 'force', description: 'Send every record, including records whose payload is unchanged since the last sync' },
+    'dry-run': { type: 'flag', key: 'dryRun', description: 'Fetch and transform only; write would-be portal payloads to data/dry-run/' },
+    json: { type: 'flag', key: 'json', description: 'Print the run result as JSON (always written to data/runs/)' },
+    timeout: { type: 'integer', key: 'timeout', valueName: '<seconds>', description: 'Cancel the run after this many seconds (default: task metadata or TASK_TIMEOUT_MS)' },
+    window: { type: 'choice', key: 'window', choices: ['day', 'week', 'month'], valueName: '<size>', description: 'Backfill window size: day, week or month (backfill command, default: month)' },
+    pace: { type: 'integer', key: 'pace', valueName: '<seconds>', description: 'Seconds to wait between backfill windows (backfill command)' },
+    restart: { type: 'flag', key: 'restart', description: 'Discard saved backfill progress and start over (backfill command)' },
+    module: { type: 'string', key: 'module', valueName: '<name>', description: 'Only dead letters of this sync module, e.g. Members (dlq command)' },
+    last: { type: 'integer', key: 'last', valueName: '<n>', description: 'Number of runs to show (runs command, default: 20)' }
+};
+
+/**
+ * Convert a raw option value to its typed form
+ * @param {string} name - Option name
+ * @param {Object} definition - Option definition
+ * @param {string} rawValue - Raw value from the command line
+ * @returns {*} Parsed value
+ */
+function parseOptionValue(name, definition, rawValue) {
+    if (rawValue === undefined || rawValue === '' || rawValue.startsWith('--')) {
+        throw new Error(`Option --${name} requires a value`);
+    }
+
+    switch (definition.type) {
+        case 'date': {
+            const date = new Date(rawValue);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Option --${name} must be a valid date (e.g. 2025-01-31 or 2025-01-31T10:00:00Z), got '${rawValue}'`);
+            }
+            if (definition.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(rawValue)) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            return date.toISOString();
+        }
+        case 'integer': {
+            const value = Number(rawValue);
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Option --${name} must be a positive integer, got '${rawValue}'`);
+            }
+            return value;
+        }
+        case 'list':
+            return rawValue.split(',').map(item => item.trim()).filter(Boolean);
+        case 'choice':
+            if (!definition.choices.includes(rawValue)) {
+                throw new Error(`Option --${name} must be one of ${definition.choices.join(', ')}, got '${rawValue}'`);
+            }
+            return rawValue;
+        default:
+            return rawValue;
+    }
+}
+
+/**
+ * Parse command line arguments into positional arguments and task options
+ * Accepts both "--name value" and "--name=value" forms; --ids may be repeated.
+ * @param {Array<string>} argv - Arguments after the command/task name
+ * @returns {Object} { positional: Array<string>, options: Object }
+ */
+export function parseTaskArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const definition = OPTION_DEFINITIONS[name];
+
+        if (!definition) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+
+        if (definition.type === 'flag') {
+            if (inlineValue !== undefined) {
+                throw new Error(`Option --${name} does not take a value`);
+            }
+            options[definition.key] = true;
+            continue;
+        }
+
+        const rawValue = inlineValue !== undefined ? inlineValue : argv[++index];
+        const value = parseOptionValue(name, definition, rawValue);
+
+        options[definition.key] = definition.type === 'list'
+            ? [...(options[definition.key] || []), ...value]
+            : value;
+    }
+
+    if (options.since && options.until && options.since > options.until) {
+        throw new Error(`--since (${options.since}) must be before --until (${options.until})`);
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Get help lines for command line options
+ * @param {Array<string>} names - Option names to describe (default: all options)
+ * @returns {Array<string>} Formatted "--name <value>  description" lines
+ */
+export function getOptionHelp(names = Object.keys(OPTION_DEFINITIONS)) {
+    const options = names
+        .filter(name => OPTION_DEFINITIONS[name])
+        .map(name => ({
+            label: `--${name} ${OPTION_DEFINITIONS[name].valueName || ''}`.trim(),
+            description: OPTION_DEFINITIONS[name].description
+        }));
+
+    // Align descriptions on the longest option, always at least two spaces after it
+    const width = Math.max(20, ...options.map(option => option.label.length + 2));
+    return options.map(option => option.label.padEnd(width) + option.description);
+}
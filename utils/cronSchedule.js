@@ -0,0 +1,187 @@
+/**
+ * Cron Schedule Utility
+ * Parses standard 5-field cron expressions and computes next fire times
+ */
+
+// Field definitions in expression order: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Shortcuts supported in place of a full expression
+const CRON_ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Upper bound for the next-fire search (covers leap-day schedules)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a single cron field into the set of values it matches
+ * @param {string} field - Field text (e.g. '*', '5', '1-5', '*\/15', '1,15,30')
+ * @param {Object} definition - Field definition from CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseField(field, definition) {
+    const { name, min, max } = definition;
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step '${stepText}' in ${name} field`);
+        }
+
+        let start;
+        let end;
+
+        if (rangeText === '*') {
+            start = min;
+            end = max;
+        } else if (rangeText.includes('-')) {
+            [start, end] = rangeText.split('-').map(value => parseInt(value, 10));
+        } else {
+            start = parseInt(rangeText, 10);
+            // "5/10" means every 10 starting at 5
+            end = stepText === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value '${part}' in ${name} field (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Check whether a parsed field matches every value of its range
+ * @param {Set<number>} values - Parsed field values
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} True if no value of min..max is missing
+ */
+function coversRange(values, min, max) {
+    for (let value = min; value <= max; value++) {
+        if (!values.has(value)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression or alias (e.g. '@hourly')
+ * @returns {Object} Parsed schedule
+ */
+export function parseCronExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = CRON_ALIASES[expression.trim()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid cron expression '${expression}': expected ${CRON_FIELDS.length} fields, got ${parts.length}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        expression,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Standard cron: when both day fields are restricted, either one may match.
+        // A field is restricted when it leaves out some day, so '*/1' or '0-6' are not
+        dayOfMonthRestricted: !coversRange(daysOfMonth, 1, 31),
+        dayOfWeekRestricted: !coversRange(daysOfWeek, 0, 6)
+    };
+}
+
+/**
+ * Check whether a date falls on a day allowed by the schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+    const domMatch = schedule.daysOfMonth.has(date.getDate());
+    const dowMatch = schedule.daysOfWeek.has(date.getDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Get the next time a schedule fires strictly after the given date (local time)
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} from - Reference date (default: now)
+ * @returns {Date} Next fire time
+ */
+export function getNextFireTime(schedule, from = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    const searchLimit = new Date(from.getTime());
+    searchLimit.setFullYear(searchLimit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (candidate <= searchLimit) {
+        if (!parsed.months.has(candidate.getMonth() + 1)) {
+            candidate.setMonth(candidate.getMonth() + 1, 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!matchesDay(parsed, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        return candidate;
+    }
+
+    throw new Error(`Cron expression '${parsed.expression}' never fires within ${MAX_SEARCH_YEARS} years`);
+}
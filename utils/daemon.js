@@ -0,0 +1,199 @@
+/**
+ * Scheduler Daemon
+ * Runs tasks on their configured cron schedules inside a long-running process
+ */
+
+import { readFile, access } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCronExpression, getNextFireTime } from './cronSchedule.js';
+import Logger from './logger.js';
+import { ConfigurationError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SCHEDULE_FILE = join(__dirname, '..', 'config', 'schedule.json');
+const TASKS_DIR = join(__dirname, '..', 'tasks');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are chained
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Load the schedule configuration file
+ * @param {string} configPath - Path to the schedule JSON file
+ * @returns {Promise<Object>} Schedule configuration
+ */
+export async function loadScheduleConfig(configPath = DEFAULT_SCHEDULE_FILE) {
+    try {
+        const configData = await readFile(configPath, 'utf8');
+        const config = JSON.parse(configData);
+
+        if (!config.tasks || typeof config.tasks !== 'object') {
+            throw new Error('"tasks" section is missing');
+        }
+
+        return config;
+    } catch (error) {
+        throw new ConfigurationError(`Failed to load schedule configuration from ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Build the list of scheduled tasks from the configuration
+ * @param {Object} config - Schedule configuration
+ * @returns {Promise<Array>} Enabled task entries with parsed schedules
+ */
+async function buildScheduleEntries(config) {
+    const entries = [];
+
+    for (const [taskName, taskConfig] of Object.entries(config.tasks)) {
+        if (taskConfig.enabled === false) {
+            console.log(`  ⏭️  ${taskName}: disabled`);
+            continue;
+        }
+
+        try {
+            await access(join(TASKS_DIR, `${taskName}.js`));
+        } catch {
+            throw new ConfigurationError(`Scheduled task '${taskName}' not found in the /tasks directory`);
+        }
+
+        let schedule;
+        try {
+            schedule = parseCronExpression(taskConfig.cron);
+        } catch (error) {
+            throw new ConfigurationError(`Invalid schedule for task '${taskName}': ${error.message}`);
+        }
+
+        entries.push({
+            taskName,
+            cron: taskConfig.cron,
+            schedule,
+            timer: null,
+            running: false
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Start the scheduler daemon
+ * @param {Function} runTask - Async function that executes a task by name and returns its task result
+ * @param {Object} options - Daemon options
+ * @param {string} options.configPath - Path to the schedule JSON file
+ * @returns {Promise<Object>} Daemon handle with a stop() method
+ */
+export async function startDaemon(runTask, options = {}) {
+    const { configPath = DEFAULT_SCHEDULE_FILE } = options;
+
+    console.log('🕒 NCDEX Scheduler Daemon');
+    console.log('=========================\n');
+    console.log(`📋 Schedule configuration: ${configPath}`);
+
+    const config = await loadScheduleConfig(configPath);
+    const entries = await buildScheduleEntries(config);
+
+    if (entries.length === 0) {
+        throw new ConfigurationError('No enabled tasks found in schedule configuration');
+    }
+
+    let stopped = false;
+
+    /**
+     * Arm the timer for the next fire time of a task
+     * @param {Object} entry - Schedule entry
+     */
+    const scheduleNext = (entry) => {
+        if (stopped) {
+            return;
+        }
+
+        const nextRun = getNextFireTime(entry.schedule);
+        console.log(`  ⏰ ${entry.taskName} [${entry.cron}] next run: ${nextRun.toISOString()}`);
+        Logger.info(`Next run scheduled for task '${entry.taskName}'`, {
+            taskName: entry.taskName,
+            cron: entry.cron,
+            nextRun: nextRun.toISOString()
+        });
+
+        const arm = () => {
+            const delay = nextRun.getTime() - Date.now();
+
+            if (delay > MAX_TIMER_DELAY) {
+                entry.timer = setTimeout(arm, MAX_TIMER_DELAY);
+                return;
+            }
+
+            entry.timer = setTimeout(() => {
+                fire(entry);
+                scheduleNext(entry);
+            }, Math.max(delay, 0));
+        };
+
+        arm();
+    };
+
+    /**
+     * Run a task for a schedule tick, skipping it if the previous run is still going
+     * @param {Object} entry - Schedule entry
+     */
+    const fire = async (entry) => {
+        if (entry.running) {
+            console.log(`\n⏭️  Skipping ${entry.taskName}: previous run is still in progress`);
+            await Logger.warn(`Skipped scheduled run of '${entry.taskName}' - previous run still in progress`, {
+                taskName: entry.taskName,
+                cron: entry.cron
+            });
+            return;
+        }
+
+        entry.running = true;
+        try {
+            const result = await runTask(entry.taskName);
+            if (result?.error) {
+                console.error(`❌ Scheduled run of '${entry.taskName}' ended with status '${result.status}': ${result.error.message}`);
+                await Logger.error(`Scheduled run of '${entry.taskName}' failed`, {
+                    taskName: entry.taskName,
+                    status: result.status,
+                    error: result.error.message
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Scheduled run of '${entry.taskName}' failed: ${error.message}`);
+            await Logger.error(`Scheduled run of '${entry.taskName}' failed`, {
+                taskName: entry.taskName,
+                error: error.message
+            });
+        } finally {
+            entry.running = false;
+        }
+    };
+
+    console.log(`\n🚀 Scheduling ${entries.length} task(s):`);
+    entries.forEach(scheduleNext);
+
+    await Logger.info('Scheduler daemon started', {
+        configPath,
+        tasks: entries.map(entry => ({ taskName: entry.taskName, cron: entry.cron }))
+    });
+
+    return {
+        /**
+         * Stop scheduling new runs (runs already in progress are not interrupted)
+         */
+        stop() {
+            stopped = true;
+            entries.forEach(entry => clearTimeout(entry.timer));
+        },
+
+        /**
+         * Names of tasks that are currently running
+         * @returns {Array<string>} Running task names
+         */
+        runningTasks() {
+            return entries.filter(entry => entry.running).map(entry => entry.taskName);
+        }
+    };
+}
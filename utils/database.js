@@ -12,7 +12,8 @@ const dbConfig = {
     user: process.env.DB_USER || 'postgres',
     host: process.env.DB_HOST || 'localhost',
     database: process.env.DB_NAME || 'audit_portal',
-    password: String(getSecretEnv('DB_PASSWORD') || ''),
+    // Resolved on connect so that importing this module never requires the RSA key
+    password: () => String(getSecretEnv('DB_PASSWORD') || ''),
     port: parseInt(process.env.DB_PORT) || 5432,
     // Connection pool settings
     max: 20, // Maximum number of clients in the pool
@@ -20,15 +21,6 @@ const dbConfig = {
     connectionTimeoutMillis: 2000, // Return an error after 2 seconds if connection could not be established
 };
 
-// Debug database configuration (without password)
-console.log('📊 Database Configuration:');
-console.log(`  • Host: ${dbConfig.host}`);
-console.log(`  • Port: ${dbConfig.port}`);
-console.log(`  • Database: ${dbConfig.database}`);
-console.log(`  • User: ${dbConfig.user}`);
-console.log(`  • Password: ${dbConfig.password ? '[SET]' : '[NOT SET]'}`);
-console.log(`  • Password Type: ${typeof dbConfig.password}`);
-
 // Create connection pool
 let pool = null;
 
@@ -39,6 +31,14 @@ let pool = null;
 function getPool() {
     if (!pool) {
         try {
+            // Debug database configuration (without password)
+            console.log('📊 Database Configuration:');
+            console.log(`  • Host: ${dbConfig.host}`);
+            console.log(`  • Port: ${dbConfig.port}`);
+            console.log(`  • Database: ${dbConfig.database}`);
+            console.log(`  • User: ${dbConfig.user}`);
+            console.log(`  • Password: ${process.env.DB_PASSWORD || process.env.DB_PASSWORD_ENC ? '[SET]' : '[NOT SET]'}`);
+
             pool = new Pool(dbConfig);
             
             // Handle pool errors
@@ -146,6 +146,14 @@ async function closePool() {
     }
 }
 
+/**
+ * Check whether database connection details were provided in the environment
+ * @returns {boolean} True if DB_HOST or DB_NAME is set
+ */
+function isDatabaseConfigured() {
+    return Boolean(process.env.DB_HOST || process.env.DB_NAME);
+}
+
 /**
  * Get database configuration (without password)
  * @returns {Object} Database configuration
@@ -168,5 +176,6 @@ export {
     query,
     withClient,
     closePool,
-    getConfig
+    getConfig,
+    isDatabaseConfigured
 };
@@ -0,0 +1,545 @@
+/**
+ * Dead-Letter Utility
+ * Keeps the records the portal could not take - rejected records (internalStatus Failed/Error)
+ * and records of batch calls that failed - with the original SugarCRM record, the transformed
+ * payload, the error and the number of delivery attempts, one entry per (module, sugar id).
+ * Entries are retried at the start of every run of their task until DLQ_MAX_ATTEMPTS is reached,
+ * and can be replayed or discarded with `node index.js dlq`. Entries live in the
+ * integration_dead_letters PostgreSQL table, or in data/dlq/ when the sync tracker uses the
+ * JSON backend (see getSyncBackendName).
+ */
+
+import { randomUUID } from 'crypto';
+import { readFile, readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { query } from './database.js';
+import { getSyncBackendName } from './syncTracker.js';
+import { isPortalFailureStatus } from './taskResult.js';
+import { hashPayload, saveRecordHashes } from './recordHashes.js';
+import { callPortalAPIWithEnv } from './portalAPI.js';
+import { getRunContext, throwIfStopRequested } from './runContext.js';
+import { TaskTimeoutError, TaskInterruptedError } from './errors.js';
+import { writeJsonFileAtomic, queueFileUpdate } from './jsonFile.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DLQ_DIR = join(__dirname, '..', 'data', 'dlq');
+
+// Delivery attempts (the original one included) after which an entry is only replayed manually
+export const DLQ_MAX_ATTEMPTS = parseInt(process.env.DLQ_MAX_ATTEMPTS) || 5;
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS integration_dead_letters (
+        id UUID PRIMARY KEY,
+        module VARCHAR(255) NOT NULL,
+        task_name VARCHAR(255),
+        mapping_key VARCHAR(255),
+        sugar_id VARCHAR(255) NOT NULL,
+        sugar_record JSONB,
+        payload JSONB NOT NULL,
+        error_message TEXT,
+        validation_errors JSONB,
+        failure_type VARCHAR(32) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_run_id UUID,
+        UNIQUE (module, sugar_id)
+    )`
+];
+
+let schemaReady = null;
+
+/**
+ * Create the integration_dead_letters table if it does not exist
+ * Runs once per process.
+ * @returns {Promise<boolean>} True if the schema is in place
+ */
+async function ensureDeadLettersSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            for (const statement of SCHEMA_STATEMENTS) {
+                const result = await query(statement);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+            return true;
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Check whether dead letters are stored in Postgres
+ * @returns {boolean} True for the postgres backend
+ */
+function usesPostgres() {
+    return getSyncBackendName() === 'postgres';
+}
+
+/**
+ * Get the JSON file holding the dead letters of a module
+ * @param {string} moduleName - Sync module name (e.g. Members)
+ * @returns {string} File path
+ */
+function getDlqFilePath(moduleName) {
+    return join(DLQ_DIR, `${moduleName}.json`);
+}
+
+/**
+ * Load the dead letters of a module from its JSON file
+ * @param {string} moduleName - Sync module name
+ * @returns {Promise<Object>} Map of sugar id to entry
+ */
+async function loadJsonDeadLetters(moduleName) {
+    try {
+        return JSON.parse(await readFile(getDlqFilePath(moduleName), 'utf8')).entries || {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw new Error(`Failed to load dead letters for ${moduleName}: ${error.message}`);
+    }
+}
+
+/**
+ * Load, modify and save the dead letters of a module's JSON file (atomic write)
+ * Updates of one file run one at a time: the daemon runs several tasks in one process.
+ * @param {string} moduleName - Sync module name
+ * @param {Function} modify - Receives the map of sugar id to entry, changes it in place and
+ *   returns { result, changed } - the file is only written when changed is true
+ * @returns {Promise<*>} The result returned by modify
+ */
+async function updateJsonDeadLetters(moduleName, modify) {
+    const filePath = getDlqFilePath(moduleName);
+
+    return await queueFileUpdate(filePath, async () => {
+        const entries = await loadJsonDeadLetters(moduleName);
+        const { result, changed } = modify(entries);
+        if (changed) {
+            await writeJsonFileAtomic(filePath, { module: moduleName, entries });
+        }
+        return result;
+    });
+}
+
+/**
+ * List the modules that have a JSON dead-letter file
+ * @returns {Promise<Array<string>>} Module names
+ */
+async function listJsonModules() {
+    try {
+        return (await readdir(DLQ_DIR))
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.replace('.json', ''));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Convert a table row to a dead-letter entry (same shape as the JSON entries)
+ * @param {Object} row - integration_dead_letters row
+ * @returns {Object} Entry
+ */
+function rowToEntry(row) {
+    return {
+        ...row,
+        first_failed_at: new Date(row.first_failed_at).toISOString(),
+        last_failed_at: new Date(row.last_failed_at).toISOString()
+    };
+}
+
+/**
+ * Check whether an entry has used up its automatic retries
+ * @param {Object} entry - Dead-letter entry
+ * @returns {boolean} True if the entry is only replayed manually
+ */
+export function isExhausted(entry) {
+    return entry.attempts >= DLQ_MAX_ATTEMPTS;
+}
+
+/**
+ * List dead letters, oldest failure first
+ * @param {Object} filters - Filters
+ * @param {string} filters.module - Only entries of this sync module
+ * @returns {Promise<Array>} Entries
+ */
+export async function listDeadLetters({ module = null } = {}) {
+    if (usesPostgres()) {
+        await ensureDeadLettersSchema();
+        const result = module
+            ? await query('SELECT * FROM integration_dead_letters WHERE module = $1 ORDER BY first_failed_at, sugar_id', [module])
+            : await query('SELECT * FROM integration_dead_letters ORDER BY first_failed_at, sugar_id');
+        if (!result.success) {
+            throw new Error(`Failed to load dead letters: ${result.error}`);
+        }
+        return result.rows.map(rowToEntry);
+    }
+
+    const modules = module ? [module] : await listJsonModules();
+    const entries = [];
+    for (const moduleName of modules) {
+        entries.push(...Object.values(await loadJsonDeadLetters(moduleName)));
+    }
+    return entries.sort((a, b) => a.first_failed_at.localeCompare(b.first_failed_at) || a.sugar_id.localeCompare(b.sugar_id));
+}
+
+/**
+ * Get a dead letter by entry id or SugarCRM id
+ * @param {string} identifier - Entry id or SugarCRM record id
+ * @returns {Promise<Object|null>} Entry, or null if not found
+ */
+export async function getDeadLetter(identifier) {
+    const entries = await listDeadLetters();
+    return entries.find(entry => entry.id === identifier) ||
+        entries.find(entry => entry.sugar_id === identifier) ||
+        null;
+}
+
+/**
+ * Add failed deliveries to the dead-letter store
+ * A record that is already dead-lettered gets the new payload and error, and one more attempt.
+ * @param {string} moduleName - Sync module name
+ * @param {Array<Object>} failures - { task_name, mapping_key, sugar_id, sugar_record, payload, error_message, validation_errors, failure_type }
+ * @returns {Promise<number>} Number of entries added or updated
+ */
+export async function saveDeadLetters(moduleName, failures) {
+    if (failures.length === 0) {
+        return 0;
+    }
+    const runId = getRunContext()?.runId || null;
+
+    if (usesPostgres()) {
+        await ensureDeadLettersSchema();
+        for (const failure of failures) {
+            const result = await query(`
+                INSERT INTO integration_dead_letters (
+                    id, module, task_name, mapping_key, sugar_id, sugar_record, payload,
+                    error_message, validation_errors, failure_type, last_run_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                ON CONFLICT (module, sugar_id) DO UPDATE SET
+                    task_name = EXCLUDED.task_name,
+                    mapping_key = EXCLUDED.mapping_key,
+                    sugar_record = COALESCE(EXCLUDED.sugar_record, integration_dead_letters.sugar_record),
+                    payload = EXCLUDED.payload,
+                    error_message = EXCLUDED.error_message,
+                    validation_errors = EXCLUDED.validation_errors,
+                    failure_type = EXCLUDED.failure_type,
+                    attempts = integration_dead_letters.attempts + 1,
+                    last_failed_at = NOW(),
+                    last_run_id = EXCLUDED.last_run_id
+            `, [
+                randomUUID(),
+                moduleName,
+                failure.task_name || null,
+                failure.mapping_key || null,
+                String(failure.sugar_id),
+                failure.sugar_record ? JSON.stringify(failure.sugar_record) : null,
+                JSON.stringify(failure.payload),
+                failure.error_message || null,
+                failure.validation_errors ? JSON.stringify(failure.validation_errors) : null,
+                failure.failure_type,
+                runId
+            ]);
+            if (!result.success) {
+                throw new Error(`Failed to save dead letter: ${result.error}`);
+            }
+        }
+        return failures.length;
+    }
+
+    return await updateJsonDeadLetters(moduleName, entries => {
+        const failedAt = new Date().toISOString();
+        failures.forEach(failure => {
+            const existing = entries[failure.sugar_id];
+            entries[failure.sugar_id] = {
+                id: existing?.id || randomUUID(),
+                module: moduleName,
+                task_name: failure.task_name || null,
+                mapping_key: failure.mapping_key || null,
+                sugar_id: String(failure.sugar_id),
+                sugar_record: failure.sugar_record || existing?.sugar_record || null,
+                payload: failure.payload,
+                error_message: failure.error_message || null,
+                validation_errors: failure.validation_errors || null,
+                failure_type: failure.failure_type,
+                attempts: (existing?.attempts || 0) + 1,
+                first_failed_at: existing?.first_failed_at || failedAt,
+                last_failed_at: failedAt,
+                last_run_id: runId
+            };
+        });
+        return { result: failures.length, changed: true };
+    });
+}
+
+/**
+ * Remove the dead letters of some records (delivered, or discarded)
+ * @param {string} moduleName - Sync module name
+ * @param {Array<string>} sugarIds - SugarCRM record ids
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function removeDeadLetters(moduleName, sugarIds) {
+    if (sugarIds.length === 0) {
+        return 0;
+    }
+
+    if (usesPostgres()) {
+        await ensureDeadLettersSchema();
+        const result = await query(
+            'DELETE FROM integration_dead_letters WHERE module = $1 AND sugar_id = ANY($2)',
+            [moduleName, sugarIds.map(String)]
+        );
+        if (!result.success) {
+            throw new Error(`Failed to remove dead letters: ${result.error}`);
+        }
+        return result.rowCount;
+    }
+
+    return await updateJsonDeadLetters(moduleName, entries => {
+        const removed = sugarIds.filter(sugarId => entries[sugarId]);
+        removed.forEach(sugarId => delete entries[sugarId]);
+        return { result: removed.length, changed: removed.length > 0 };
+    });
+}
+
+/**
+ * Build a dead-letter failure for a record of a batch
+ * @param {Object} metadata - Task metadata (syncModule, mappingKey)
+ * @param {Object} batch - Records of the batch ({ records, processedRecords }, see filterUnchangedRecords)
+ * @param {number} index - Position of the record in the batch
+ * @param {Object} details - { error_message, validation_errors, failure_type }
+ * @returns {Object} Failure for saveDeadLetters
+ */
+function buildFailure(metadata, batch, index, details) {
+    return {
+        task_name: getRunContext()?.taskName || null,
+        mapping_key: metadata.mappingKey,
+        sugar_id: batch.records[index].id,
+        sugar_record: batch.records[index],
+        payload: batch.processedRecords[index],
+        ...details
+    };
+}
+
+/**
+ * Dead-letter the records of a batch the portal rejected
+ * Records it accepted are removed from the dead-letter store (they no longer need a retry).
+ * A store failure is only logged, so it never fails the run.
+ * @param {Object} metadata - Task metadata (syncModule, mappingKey)
+ * @param {Object} batch - Records of the batch ({ records, processedRecords }, see filterUnchangedRecords)
+ * @param {Array} responseArray - Portal API response records of the batch
+ * @returns {Promise<number>} Number of records dead-lettered
+ */
+export async function deadLetterRejectedRecords(metadata, batch, responseArray) {
+    const results = new Map(responseArray.filter(result => result && result.sugarId).map(result => [result.sugarId, result]));
+    const failures = [];
+    const accepted = [];
+
+    batch.records.forEach((record, index) => {
+        const result = results.get(record.id);
+        if (!result) {
+            return;
+        }
+        if (isPortalFailureStatus(result.internalStatus)) {
+            failures.push(buildFailure(metadata, batch, index, {
+                error_message: result.message || `Portal status ${result.internalStatus}`,
+                validation_errors: result.validationErrors || null,
+                failure_type: 'rejected'
+            }));
+        } else {
+            accepted.push(record.id);
+        }
+    });
+
+    try {
+        await removeDeadLetters(metadata.syncModule, accepted);
+        await saveDeadLetters(metadata.syncModule, failures);
+        if (failures.length > 0) {
+            console.log(`  📮 ${failures.length} rejected record(s) added to the dead-letter queue`);
+        }
+        return failures.length;
+    } catch (error) {
+        console.log(`  ⚠️  Failed to update the dead-letter queue: ${error.message}`);
+        await Logger.warn('Failed to update dead letters', { module: metadata.syncModule, error: error.message });
+        return 0;
+    }
+}
+
+/**
+ * Dead-letter every record of a batch whose portal call failed
+ * Nothing is stored when the run was cancelled (timeout, SIGINT/SIGTERM): the batch was not rejected.
+ * @param {Object} metadata - Task metadata (syncModule, mappingKey)
+ * @param {Object} batch - Records of the batch ({ records, processedRecords }, see filterUnchangedRecords)
+ * @param {Error} error - Why the portal call failed
+ * @returns {Promise<number>} Number of records dead-lettered
+ */
+export async function deadLetterFailedBatch(metadata, batch, error) {
+    if (error instanceof TaskTimeoutError || error instanceof TaskInterruptedError) {
+        return 0;
+    }
+
+    const failures = batch.records.map((record, index) => buildFailure(metadata, batch, index, {
+        error_message: error.message,
+        validation_errors: null,
+        failure_type: 'batch_failed'
+    }));
+
+    try {
+        await saveDeadLetters(metadata.syncModule, failures);
+        console.log(`  📮 ${failures.length} record(s) of the failed batch added to the dead-letter queue`);
+        return failures.length;
+    } catch (storeError) {
+        console.log(`  ⚠️  Failed to update the dead-letter queue: ${storeError.message}`);
+        await Logger.warn('Failed to update dead letters', { module: metadata.syncModule, error: storeError.message });
+        return 0;
+    }
+}
+
+/**
+ * Dead-letter the records of the portal batches that failed while the rest of a page was delivered
+ * @param {Object} metadata - Task metadata (syncModule, mappingKey)
+ * @param {Object} batch - Records of the page ({ records, processedRecords }, see filterUnchangedRecords)
+ * @param {Array} failedBatches - failedBatches of the callPortalAPI result ({ offset, size, error })
+ * @returns {Promise<Object>} { failedRecords, deadLettered } - SugarCRM records of the failed batches
+ *   and the number of records dead-lettered
+ */
+export async function deadLetterFailedBatches(metadata, batch, failedBatches = []) {
+    const failedRecords = [];
+    let deadLettered = 0;
+
+    for (const failedBatch of failedBatches) {
+        const end = failedBatch.offset + failedBatch.size;
+        const slice = {
+            records: batch.records.slice(failedBatch.offset, end),
+            processedRecords: batch.processedRecords.slice(failedBatch.offset, end)
+        };
+        failedRecords.push(...slice.records);
+        deadLettered += await deadLetterFailedBatch(metadata, slice, new Error(failedBatch.error));
+    }
+    return { failedRecords, deadLettered };
+}
+
+/**
+ * Send dead-lettered payloads to the portal again
+ * Delivered entries are removed (and their payload hash stored, see utils/recordHashes.js);
+ * the others get one more attempt and the new error.
+ * @param {Object} metadata - Task metadata of the entries' task (portalEndpoint, syncModule)
+ * @param {Array} entries - Dead-letter entries of that module
+ * @returns {Promise<Object>} { retried, delivered, failed }
+ */
+export async function replayDeadLetters(metadata, entries) {
+    const summary = { retried: entries.length, delivered: 0, failed: 0 };
+    if (entries.length === 0) {
+        return summary;
+    }
+
+    throwIfStopRequested();
+    const portalResult = await callPortalAPIWithEnv(
+        metadata.portalEndpoint,
+        entries.map(entry => entry.payload),
+        {
+            moduleName: metadata.syncModule,
+            metadata: { deadLetterReplay: true, recordCount: entries.length }
+        }
+    );
+
+    // Responses of the batches that were delivered (the others failed as a whole)
+    const results = new Map(
+        (Array.isArray(portalResult.data) ? portalResult.data : [])
+            .filter(result => result && result.sugarId)
+            .map(result => [result.sugarId, result])
+    );
+    // Error of the failed batch each entry was sent in
+    const batchErrors = new Map();
+    (portalResult.failedBatches || []).forEach(batch => {
+        for (let index = batch.offset; index < batch.offset + batch.size; index++) {
+            batchErrors.set(index, batch.error);
+        }
+    });
+    const delivered = [];
+    const failures = [];
+
+    entries.forEach((entry, index) => {
+        const result = results.get(entry.sugar_id);
+        if (result && !isPortalFailureStatus(result.internalStatus)) {
+            delivered.push(entry);
+            return;
+        }
+
+        let details;
+        if (result) {
+            details = { error_message: result.message || `Portal status ${result.internalStatus}`, validation_errors: result.validationErrors || null, failure_type: 'rejected' };
+        } else if (!portalResult.success) {
+            details = { error_message: batchErrors.get(index) || portalResult.error, validation_errors: null, failure_type: 'batch_failed' };
+        } else {
+            details = { error_message: 'The portal response did not include the record', validation_errors: null, failure_type: 'rejected' };
+        }
+        failures.push({ ...entry, ...details });
+    });
+
+    await removeDeadLetters(metadata.syncModule, delivered.map(entry => entry.sugar_id));
+    await saveDeadLetters(metadata.syncModule, failures);
+    if (metadata.mappingKey) {
+        await saveRecordHashes(metadata.mappingKey, delivered.map(entry => ({ sugarId: entry.sugar_id, hash: hashPayload(entry.payload) })));
+    }
+
+    summary.delivered = delivered.length;
+    summary.failed = failures.length;
+    await Logger.info('Dead letters replayed', { module: metadata.syncModule, ...summary });
+    return summary;
+}
+
+/**
+ * Retry the dead letters of a task's module at the start of a run
+ * Entries that reached DLQ_MAX_ATTEMPTS are left for a manual `dlq replay`.
+ * Errors other than a cancelled run are only logged, so the run itself still happens.
+ * @param {Object} metadata - Task metadata (portalEndpoint, syncModule, mappingKey)
+ * @returns {Promise<Object|null>} { retried, delivered, failed, exhausted }, or null if the task has no dead letters
+ * @throws {TaskTimeoutError|TaskInterruptedError} If the run was cancelled during the retry
+ */
+export async function retryDeadLetters(metadata) {
+    if (!metadata?.syncModule || !metadata.portalEndpoint) {
+        return null;
+    }
+
+    try {
+        const entries = await listDeadLetters({ module: metadata.syncModule });
+        if (entries.length === 0) {
+            return null;
+        }
+
+        const retryable = entries.filter(entry => !isExhausted(entry));
+        const exhausted = entries.length - retryable.length;
+
+        if (exhausted > 0) {
+            console.log(`⚠️  ${exhausted} dead letter(s) of ${metadata.syncModule} reached ${DLQ_MAX_ATTEMPTS} attempts - replay them with: node index.js dlq replay --module ${metadata.syncModule}`);
+        }
+        if (retryable.length === 0) {
+            return { retried: 0, delivered: 0, failed: 0, exhausted };
+        }
+
+        console.log(`📮 Dead-letter queue for ${metadata.syncModule}: retrying ${retryable.length} record(s)`);
+        const summary = { ...await replayDeadLetters(metadata, retryable), exhausted };
+        console.log(`  📮 Delivered: ${summary.delivered} | Still failing: ${summary.failed}`);
+        return summary;
+    } catch (error) {
+        if (error instanceof TaskTimeoutError || error instanceof TaskInterruptedError) {
+            throw error;
+        }
+        console.log(`⚠️  Dead-letter retry failed: ${error.message}`);
+        await Logger.warn('Dead-letter retry failed', { module: metadata.syncModule, error: error.message });
+        return null;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Dry Run Utility
+ * Writes the payloads a sync task would send to the portal, without sending them
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DRY_RUN_DIR = join(__dirname, '..', 'data', 'dry-run');
+
+/**
+ * Write a dry-run report for a sync task to data/dry-run/
+ * @param {string} taskName - Task name
+ * @param {Object} report - Report contents
+ * @param {string} report.sugarcrmModule - SugarCRM module the records were fetched from
+ * @param {string} report.portalEndpoint - Portal endpoint the batches would be sent to
+ * @param {Object} report.options - Task options used for the run
+ * @param {Array} report.records - Raw SugarCRM records fetched
+ * @param {number} report.fetched - Number of records fetched (default: records.length; for tasks that stream pages)
+ * @param {number} report.skippedUnchanged - Records left out because their payload is unchanged since the last sync
+ * @param {Array} report.processedRecords - Transformed records that would be sent
+ * @param {Array<Array>} report.batches - Transformed records per portal batch (default: processedRecords as one batch)
+ * @param {Array} report.validationErrors - Validation errors per record ({ sugar_id, errors })
+ * @returns {Promise<string>} Path of the written report file
+ */
+export async function writeDryRunReport(taskName, report) {
+    const {
+        sugarcrmModule,
+        portalEndpoint,
+        options = {},
+        records = [],
+        fetched = records.length,
+        skippedUnchanged = 0,
+        processedRecords = [],
+        validationErrors = []
+    } = report;
+
+    const generatedAt = new Date().toISOString();
+    const batches = (report.batches || [processedRecords])
+        .filter(batch => batch.length > 0)
+        .map(batch => ({ endpoint: portalEndpoint, record_count: batch.length, records: batch }));
+
+    const content = {
+        task: taskName,
+        generated_at: generatedAt,
+        options,
+        sugarcrm_module: sugarcrmModule,
+        portal_endpoint: portalEndpoint,
+        counts: {
+            fetched,
+            transformed: batches.reduce((total, batch) => total + batch.record_count, 0),
+            invalid: validationErrors.length,
+            skipped_unchanged: skippedUnchanged,
+            batches: batches.length
+        },
+        validation_errors: validationErrors,
+        batches
+    };
+
+    await mkdir(DRY_RUN_DIR, { recursive: true });
+    const fileName = `${taskName}-${generatedAt.replace(/[:.]/g, '-')}.json`;
+    const filePath = join(DRY_RUN_DIR, fileName);
+    await writeFile(filePath, JSON.stringify(content, null, 2), 'utf8');
+
+    console.log('\n🧪 Dry run - nothing was sent to the portal and the sync record was not updated');
+    console.log(`  • Records fetched: ${content.counts.fetched}`);
+    console.log(`  • Records transformed: ${content.counts.transformed}`);
+    console.log(`  • Records with validation errors: ${content.counts.invalid}`);
+    console.log(`  • Unchanged records skipped: ${content.counts.skipped_unchanged}`);
+    console.log(`  📄 Report written to: ${filePath}`);
+
+    await Logger.info(`Dry run report written for task '${taskName}'`, {
+        taskName,
+        filePath,
+        counts: content.counts
+    });
+
+    return filePath;
+}
@@ -0,0 +1,38 @@
+/**
+ * Error Classes
+ * Errors that callers need to tell apart from generic failures
+ */
+
+/**
+ * The scheduler or a task is misconfigured (missing environment variables,
+ * unknown task or group, invalid configuration files). Retrying will not help.
+ */
+export class ConfigurationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigurationError';
+    }
+}
+
+/**
+ * A task run exceeded its timeout and was cancelled. The sync watermark is left untouched.
+ */
+export class TaskTimeoutError extends Error {
+    constructor(taskName, timeoutMs) {
+        super(`Task '${taskName}' timed out after ${timeoutMs}ms`);
+        this.name = 'TaskTimeoutError';
+        this.taskName = taskName;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * A task run was stopped because the process received SIGINT/SIGTERM.
+ */
+export class TaskInterruptedError extends Error {
+    constructor(signal) {
+        super(`Run interrupted by ${signal}`);
+        this.name = 'TaskInterruptedError';
+        this.signal = signal;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Process Exit Codes
+ * Exit codes reported to external schedulers (values follow sysexits.h where one fits)
+ */
+
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    // The run finished but the portal rejected some records
+    PARTIAL_SUCCESS: 2,
+    // Another run of the same task holds the lock (EX_TEMPFAIL - try again later)
+    LOCKED: 75,
+    // Missing environment variables, unknown task/group, invalid config files (EX_CONFIG)
+    CONFIG_ERROR: 78,
+    // Stopped by SIGINT/SIGTERM (128 + SIGINT, as shells report it)
+    INTERRUPTED: 130
+};
+
+/**
+ * Map a task result status to a process exit code
+ * @param {string} status - success, partial, locked, config_error, interrupted, timeout or failed
+ * @returns {number} Exit code
+ */
+export function getExitCode(status) {
+    switch (status) {
+        case 'success':
+            return EXIT_CODES.SUCCESS;
+        case 'partial':
+            return EXIT_CODES.PARTIAL_SUCCESS;
+        case 'locked':
+            return EXIT_CODES.LOCKED;
+        case 'config_error':
+            return EXIT_CODES.CONFIG_ERROR;
+        case 'interrupted':
+            return EXIT_CODES.INTERRUPTED;
+        default:
+            return EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * Map the task statuses of a pipeline run to a process exit code (the most severe status wins)
+ * @param {Array<string>} statuses - Status of each task in the pipeline
+ * @returns {number} Exit code
+ */
+export function getPipelineExitCode(statuses) {
+    const bySeverity = ['interrupted', 'config_error', 'failed', 'timeout', 'skipped', 'locked', 'partial'];
+    const worst = bySeverity.find(status => statuses.includes(status));
+    return worst ? getExitCode(worst) : EXIT_CODES.SUCCESS;
+}
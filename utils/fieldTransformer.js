@@ -6,6 +6,8 @@
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+import { getPortalId } from './idCrossReference.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,7 +29,7 @@ async function loadFieldMappings(mappingType = 'sugarcrm_to_portal_members') {
         
         return config[mappingType];
     } catch (error) {
-        throw new Error(`Failed to load field mappings: ${error.message}`);
+        throw new ConfigurationError(`Failed to load field mappings: ${error.message}`);
     }
 }
 
@@ -68,6 +70,13 @@ export async function transformSugarcrmToPortal(sugarcrmRecord, mappingType = 's
             case 'trim':
                 transformedValue = value ? value.toString().trim() : value;
                 break;
+            case 'portal_id':
+                // The value is the SugarCRM id of a record in lookup_module; send its portal id instead
+                transformedValue = value ? await getPortalId(mappingConfig.lookup_module, value) : value;
+                if (value && !transformedValue) {
+                    validationErrors.push(`No portal id known for ${mappingConfig.lookup_module} record ${value} (${sugarcrmField})`);
+                }
+                break;
             default:
                 transformedValue = value;
         }
@@ -194,12 +203,17 @@ export async function getRequiredFields(mappingType = 'sugarcrm_to_portal_member
     return requiredFields;
 }
 
+// Fields every sync needs for its own bookkeeping (record identity and watermark checkpoints)
+const SYNC_FIELDS = ['id', 'date_modified'];
+
 /**
  * Get all SugarCRM fields that should be fetched
+ * The mapped fields plus id and date_modified, which the sync tasks always need.
  * @param {string} mappingType - Type of mapping
  * @returns {Promise<Array>} Array of SugarCRM field names
  */
 export async function getSugarcrmFields(mappingType = 'sugarcrm_to_portal_members') {
     const mapping = await loadFieldMappings(mappingType);
-    return Object.keys(mapping.field_mappings);
+    const fields = Object.keys(mapping.field_mappings);
+    return [...fields, ...SYNC_FIELDS.filter(field => !fields.includes(field))];
 }
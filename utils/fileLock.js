@@ -0,0 +1,176 @@
+/**
+ * File Lock Utility
+ * Exclusive lock files with owner PID and stale lock detection
+ */
+
+import { writeFile, readFile, unlink, mkdir, stat, rename, link } from 'fs/promises';
+import { dirname } from 'path';
+import { hostname } from 'os';
+
+// Locks older than this are considered abandoned even if the owner cannot be checked
+const DEFAULT_STALE_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// An unreadable lock file this young is probably still being written by its owner
+const UNREADABLE_GRACE_MS = 2000;
+
+/**
+ * Check whether a process with the given PID is alive on this host
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read the owner information stored in a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<Object|null>} Owner info, or null if the file is missing or unreadable
+ */
+async function readLockOwner(lockPath) {
+    try {
+        const content = await readFile(lockPath, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Determine whether an existing lock is stale
+ * @param {Object|null} owner - Owner info from the lock file
+ * @param {number} staleMs - Maximum lock age in milliseconds
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isLockStale(owner, staleMs) {
+    // Unreadable/partially written lock files are treated as stale
+    if (!owner || !owner.pid) {
+        return true;
+    }
+
+    if (owner.host === hostname() && !isProcessAlive(owner.pid)) {
+        return true;
+    }
+
+    const acquiredAt = new Date(owner.acquired_at).getTime();
+    return Number.isNaN(acquiredAt) || Date.now() - acquiredAt > staleMs;
+}
+
+// Makes claim file names unique within the process
+let claimCounter = 0;
+
+/**
+ * Check whether two lock owners are the same lock (same process, host and acquisition time)
+ * @param {Object|null} a - Owner info
+ * @param {Object|null} b - Owner info
+ * @returns {boolean} True if both describe the same lock (two unreadable owners count as the same)
+ */
+function isSameOwner(a, b) {
+    if (!a || !b) {
+        return !a && !b;
+    }
+    return a.pid === b.pid && a.host === b.host && a.acquired_at === b.acquired_at;
+}
+
+/**
+ * Remove a lock file only if it still belongs to the expected owner
+ * The file is first renamed to a unique claim path, so no other process can replace it between
+ * the owner check and the removal. A lock that changed owner in the meantime is put back
+ * (link fails instead of overwriting if yet another process created a lock since).
+ * @param {string} lockPath - Lock file path
+ * @param {Object|null} expectedOwner - Owner the lock must still have (null: unreadable lock file)
+ * @returns {Promise<boolean>} True if the lock file is gone (removed, or already missing)
+ */
+async function removeLockIfOwnedBy(lockPath, expectedOwner) {
+    const claimPath = `${lockPath}.${hostname()}.${process.pid}.${++claimCounter}.claim`;
+
+    try {
+        await rename(lockPath, claimPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return true;
+        }
+        throw error;
+    }
+
+    if (isSameOwner(await readLockOwner(claimPath), expectedOwner)) {
+        await unlink(claimPath).catch(() => {});
+        return true;
+    }
+
+    // Someone else's lock: restore it and give up
+    await link(claimPath, lockPath).catch(() => {});
+    await unlink(claimPath).catch(() => {});
+    return false;
+}
+
+/**
+ * Try to acquire an exclusive lock file without waiting
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - Lock options
+ * @param {number} options.staleMs - Age after which a lock is considered abandoned
+ * @param {Object} options.details - Extra owner details stored in the lock file
+ * @returns {Promise<Object|null>} Lock handle with release(), or null if the lock is held
+ */
+export async function tryAcquireFileLock(lockPath, options = {}) {
+    const { staleMs = DEFAULT_STALE_MS, details = {} } = options;
+
+    const owner = {
+        pid: process.pid,
+        host: hostname(),
+        acquired_at: new Date().toISOString(),
+        ...details
+    };
+
+    await mkdir(dirname(lockPath), { recursive: true });
+
+    // Second attempt happens only after removing a stale lock
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await writeFile(lockPath, JSON.stringify(owner, null, 2), { encoding: 'utf8', flag: 'wx' });
+
+            return {
+                path: lockPath,
+                owner,
+                async release() {
+                    // Never remove a lock that was taken over by someone else
+                    await removeLockIfOwnedBy(lockPath, owner).catch(() => {});
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+
+            const existingOwner = await readLockOwner(lockPath);
+            if (!existingOwner) {
+                const age = await stat(lockPath).then(stats => Date.now() - stats.mtimeMs, () => null);
+                // Released in the meantime: try again
+                if (age === null) {
+                    continue;
+                }
+                if (age < UNREADABLE_GRACE_MS) {
+                    return null;
+                }
+            }
+            if (!isLockStale(existingOwner, staleMs)) {
+                return null;
+            }
+
+            // Only the stale lock that was checked is removed: if another process took it over
+            // in the meantime, its fresh lock is left alone
+            console.log(`  🧹 Removing stale lock ${lockPath} (pid ${existingOwner?.pid ?? 'unknown'})`);
+            if (!await removeLockIfOwnedBy(lockPath, existingOwner)) {
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
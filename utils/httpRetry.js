@@ -0,0 +1,225 @@
+/**
+ * HTTP Retry Utility
+ * Shared retry policy for SugarCRM and portal HTTP calls: retries network errors,
+ * 429 and 5xx responses with jittered exponential backoff, honouring Retry-After
+ */
+
+import { readFileSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RETRY_POLICY_FILE = join(__dirname, '..', 'config', 'retryPolicy.json');
+
+// Used when config/retryPolicy.json has no default section
+const DEFAULT_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxRetryAfterMs: 300000
+};
+
+// Statuses whose responses cannot carry a body (new Response() rejects one)
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+let retryConfig = null;
+
+/**
+ * Load config/retryPolicy.json (once per process)
+ * @returns {Object} { default, endpoints }
+ */
+function loadRetryConfig() {
+    if (!retryConfig) {
+        try {
+            const config = JSON.parse(readFileSync(RETRY_POLICY_FILE, 'utf8'));
+            retryConfig = {
+                default: { ...DEFAULT_POLICY, ...(config.default || {}) },
+                endpoints: config.endpoints || {}
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ConfigurationError(`Failed to load retry policy: ${error.message}`);
+            }
+            retryConfig = { default: { ...DEFAULT_POLICY }, endpoints: {} };
+        }
+    }
+    return retryConfig;
+}
+
+/**
+ * Get the retry policy of an endpoint
+ * Endpoint entries in config/retryPolicy.json override the default policy field by field.
+ * @param {string} endpoint - Endpoint name (e.g. 'sugarcrm-filter', 'portal-api' or a portal path)
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs }
+ */
+export function getRetryPolicy(endpoint) {
+    const config = loadRetryConfig();
+    const policy = { ...config.default, ...(config.endpoints[endpoint] || {}) };
+
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+        throw new ConfigurationError(`Invalid maxAttempts for endpoint '${endpoint}' in retry policy: ${policy.maxAttempts}`);
+    }
+    return policy;
+}
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 429 and 5xx
+ */
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Full jitter: a random delay between 0 and baseDelayMs * 2^(attempt - 1), capped at maxDelayMs.
+ * A Retry-After from the server takes precedence and is not capped by maxDelayMs.
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} retryAfterMs - Delay requested by the server
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(policy, attempt, retryAfterMs) {
+    // Retry-After is honoured as-is (fetchWithRetry gives up when it exceeds maxRetryAfterMs)
+    if (retryAfterMs !== null) {
+        return retryAfterMs;
+    }
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * backoff);
+}
+
+/**
+ * Describe a network error for logs (includes the low-level code, e.g. ECONNRESET)
+ * @param {Error} error - Error thrown by fetch
+ * @returns {string} Description
+ */
+function describeNetworkError(error) {
+    const code = error.cause?.code;
+    return code ? `${error.message} (${code})` : error.message;
+}
+
+/**
+ * fetch() a URL and read the whole response body
+ * Used inside a rate limiter slot, so the slot stays taken until the body has been received:
+ * a fetch() promise resolves as soon as the headers arrive.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} Response with the body already buffered
+ */
+async function fetchBuffered(url, init) {
+    const response = await fetch(url, init);
+    const body = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * fetch() with the retry policy of an endpoint
+ * Network errors, 429 and 5xx responses are retried until the policy's maxAttempts is reached.
+ * The last response is returned as-is (callers handle non-OK responses), the last network error is thrown.
+ * A response whose Retry-After exceeds the policy's maxRetryAfterMs is returned without retrying.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options (init.signal aborts the request and the backoff wait)
+ * @param {Object} options - Retry options
+ * @param {string} options.endpoint - Endpoint name used to look up the retry policy
+ * @param {Object} options.rateLimiter - Rate limiter every attempt goes through (see utils/rateLimiter.js);
+ *   the attempt holds its concurrency slot until the response body has been read
+ * @returns {Promise<Response>} Fetch response
+ * @throws {Error} The abort reason if the signal is aborted, or the last network error
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+    const { endpoint = 'default', rateLimiter = null } = options;
+    const { signal } = init;
+    const policy = getRetryPolicy(endpoint);
+
+    for (let attempt = 1; ; attempt++) {
+        let cause;
+        let retryAfterMs = null;
+
+        try {
+            const response = rateLimiter
+                ? await rateLimiter.schedule(() => fetchBuffered(url, init), { signal })
+                : await fetch(url, init);
+
+            if (!isRetryableStatus(response.status) || attempt >= policy.maxAttempts) {
+                return response;
+            }
+
+            cause = `HTTP ${response.status} ${response.statusText}`;
+            retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+            // Waiting less than the server asked would only burn attempts: fail fast instead
+            if (retryAfterMs !== null && retryAfterMs > policy.maxRetryAfterMs) {
+                console.log(`    ⛔ ${endpoint}: ${cause} with Retry-After ${retryAfterMs}ms (above ${policy.maxRetryAfterMs}ms) - not retrying`);
+                await Logger.warn('Retry-After above the retry ceiling', {
+                    endpoint,
+                    url,
+                    attempt,
+                    cause,
+                    retryAfterMs,
+                    maxRetryAfterMs: policy.maxRetryAfterMs
+                });
+                return response;
+            }
+            // Free the connection before waiting
+            await response.body?.cancel().catch(() => {});
+        } catch (error) {
+            // A cancelled run is not a network failure
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            if (attempt >= policy.maxAttempts) {
+                throw error;
+            }
+            cause = describeNetworkError(error);
+        }
+
+        const delayMs = getRetryDelay(policy, attempt, retryAfterMs);
+        console.log(`    🔁 ${endpoint}: attempt ${attempt}/${policy.maxAttempts} failed (${cause}) - retrying in ${delayMs}ms`);
+        await Logger.warn('Retrying HTTP request', {
+            endpoint,
+            url,
+            attempt,
+            maxAttempts: policy.maxAttempts,
+            cause,
+            delayMs
+        });
+
+        try {
+            await sleep(delayMs, undefined, { signal });
+        } catch (error) {
+            throw signal?.aborted ? signal.reason : error;
+        }
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * ID Cross-Reference Utility
+ * Keeps the portal id of every SugarCRM record the portal reported on, per sync module:
+ * (module, sugar_id, portal_id, first_synced_at, last_synced_at, last_status).
+ * Updated from each portal response (see utils/portalAPI.js). Ids are stored as sent by the
+ * portal, UUID or not. Rows live in the integration_id_xref PostgreSQL table, or in
+ * data/id_xref/ when the sync tracker uses the JSON backend (see getSyncBackendName).
+ */
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { query } from './database.js';
+import { getSyncBackendName } from './syncTracker.js';
+import { writeJsonFileAtomic, queueFileUpdate } from './jsonFile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ID_XREF_DIR = join(__dirname, '..', 'data', 'id_xref');
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS integration_id_xref (
+        module VARCHAR(255) NOT NULL,
+        sugar_id VARCHAR(255) NOT NULL,
+        portal_id VARCHAR(255),
+        first_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_status VARCHAR(64),
+        PRIMARY KEY (module, sugar_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_integration_id_xref_portal ON integration_id_xref (module, portal_id)'
+];
+
+let schemaReady = null;
+
+/**
+ * Create the integration_id_xref table if it does not exist
+ * Runs once per process.
+ * @returns {Promise<boolean>} True if the schema is in place
+ */
+async function ensureIdXrefSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            for (const statement of SCHEMA_STATEMENTS) {
+                const result = await query(statement);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+            return true;
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Check whether cross-references are stored in Postgres
+ * @returns {boolean} True for the postgres backend
+ */
+function usesPostgres() {
+    return getSyncBackendName() === 'postgres';
+}
+
+/**
+ * Get the JSON file holding the cross-references of a module
+ * @param {string} moduleName - Sync module name (e.g. Members)
+ * @returns {string} File path
+ */
+function getXrefFilePath(moduleName) {
+    return join(ID_XREF_DIR, `${moduleName}.json`);
+}
+
+/**
+ * Load the cross-references of a module from its JSON file
+ * @param {string} moduleName - Sync module name
+ * @returns {Promise<Object>} Map of sugar id to { portal_id, first_synced_at, last_synced_at, last_status }
+ */
+async function loadJsonXrefs(moduleName) {
+    try {
+        return JSON.parse(await readFile(getXrefFilePath(moduleName), 'utf8')).records || {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw new Error(`Failed to load ID cross-references for ${moduleName}: ${error.message}`);
+    }
+}
+
+/**
+ * Save the cross-references of a module to its JSON file (atomic write)
+ * @param {string} moduleName - Sync module name
+ * @param {Object} records - Map of sugar id to cross-reference
+ */
+async function saveJsonXrefs(moduleName, records) {
+    await writeJsonFileAtomic(getXrefFilePath(moduleName), { module: moduleName, records });
+}
+
+/**
+ * Convert a table row or JSON entry to a cross-reference
+ * @param {string} moduleName - Sync module name
+ * @param {string} sugarId - SugarCRM record id
+ * @param {Object} entry - Row or JSON entry
+ * @returns {Object} { module, sugar_id, portal_id, first_synced_at, last_synced_at, last_status }
+ */
+function toCrossReference(moduleName, sugarId, entry) {
+    return {
+        module: moduleName,
+        sugar_id: sugarId,
+        portal_id: entry.portal_id || null,
+        first_synced_at: entry.first_synced_at ? new Date(entry.first_synced_at).toISOString() : null,
+        last_synced_at: entry.last_synced_at ? new Date(entry.last_synced_at).toISOString() : null,
+        last_status: entry.last_status || null
+    };
+}
+
+/**
+ * Record the records of a portal response
+ * A record the portal reported without a portal id (e.g. a failed create) keeps the id it already had.
+ * @param {string} moduleName - Sync module name
+ * @param {Array} responseArray - Portal API response records ({ sugarId, portalId, internalStatus })
+ * @returns {Promise<number>} Number of records recorded
+ */
+export async function recordPortalResponses(moduleName, responseArray) {
+    const entries = responseArray.filter(result => result && result.sugarId);
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    if (usesPostgres()) {
+        await ensureIdXrefSchema();
+        const result = await query(`
+            INSERT INTO integration_id_xref (module, sugar_id, portal_id, first_synced_at, last_synced_at, last_status)
+            SELECT $1, entry.sugar_id, entry.portal_id, NOW(), NOW(), entry.last_status
+            FROM unnest($2::text[], $3::text[], $4::text[]) AS entry (sugar_id, portal_id, last_status)
+            ON CONFLICT (module, sugar_id) DO UPDATE SET
+                portal_id = COALESCE(EXCLUDED.portal_id, integration_id_xref.portal_id),
+                last_synced_at = EXCLUDED.last_synced_at,
+                last_status = EXCLUDED.last_status
+        `, [
+            moduleName,
+            entries.map(entry => String(entry.sugarId)),
+            entries.map(entry => (entry.portalId ? String(entry.portalId) : null)),
+            entries.map(entry => entry.internalStatus || null)
+        ]);
+        if (!result.success) {
+            throw new Error(`Failed to save ID cross-references: ${result.error}`);
+        }
+        return entries.length;
+    }
+
+    // Load → modify → save one update at a time (parallel portal batches, daemon tasks)
+    return await queueFileUpdate(getXrefFilePath(moduleName), async () => {
+        const records = await loadJsonXrefs(moduleName);
+        const syncedAt = new Date().toISOString();
+        entries.forEach(entry => {
+            const existing = records[entry.sugarId];
+            records[entry.sugarId] = {
+                portal_id: entry.portalId ? String(entry.portalId) : existing?.portal_id || null,
+                first_synced_at: existing?.first_synced_at || syncedAt,
+                last_synced_at: syncedAt,
+                last_status: entry.internalStatus || null
+            };
+        });
+        await saveJsonXrefs(moduleName, records);
+        return entries.length;
+    });
+}
+
+/**
+ * Get the cross-reference of a SugarCRM record
+ * @param {string} moduleName - Sync module name
+ * @param {string} sugarId - SugarCRM record id
+ * @returns {Promise<Object|null>} Cross-reference, or null if the portal never reported the record
+ */
+export async function getCrossReference(moduleName, sugarId) {
+    if (usesPostgres()) {
+        await ensureIdXrefSchema();
+        const result = await query('SELECT * FROM integration_id_xref WHERE module = $1 AND sugar_id = $2', [moduleName, sugarId]);
+        if (!result.success) {
+            throw new Error(`Failed to load ID cross-reference: ${result.error}`);
+        }
+        return result.rows[0] ? toCrossReference(moduleName, sugarId, result.rows[0]) : null;
+    }
+
+    const entry = (await loadJsonXrefs(moduleName))[sugarId];
+    return entry ? toCrossReference(moduleName, sugarId, entry) : null;
+}
+
+/**
+ * Resolve the portal ids of SugarCRM records
+ * @param {string} moduleName - Sync module name
+ * @param {Array<string>} sugarIds - SugarCRM record ids
+ * @returns {Promise<Map>} Map of sugar id to portal id (records without a known portal id are missing)
+ */
+export async function getPortalIds(moduleName, sugarIds) {
+    const portalIds = new Map();
+
+    if (usesPostgres()) {
+        await ensureIdXrefSchema();
+        const result = await query(
+            'SELECT sugar_id, portal_id FROM integration_id_xref WHERE module = $1 AND sugar_id = ANY($2) AND portal_id IS NOT NULL',
+            [moduleName, sugarIds]
+        );
+        if (!result.success) {
+            throw new Error(`Failed to load ID cross-references: ${result.error}`);
+        }
+        result.rows.forEach(row => portalIds.set(row.sugar_id, row.portal_id));
+        return portalIds;
+    }
+
+    const records = await loadJsonXrefs(moduleName);
+    sugarIds.forEach(sugarId => {
+        if (records[sugarId]?.portal_id) {
+            portalIds.set(sugarId, records[sugarId].portal_id);
+        }
+    });
+    return portalIds;
+}
+
+/**
+ * Resolve the portal id of a SugarCRM record
+ * @param {string} moduleName - Sync module name
+ * @param {string} sugarId - SugarCRM record id
+ * @returns {Promise<string|null>} Portal id, or null if unknown
+ */
+export async function getPortalId(moduleName, sugarId) {
+    return (await getPortalIds(moduleName, [sugarId])).get(sugarId) || null;
+}
+
+/**
+ * Resolve the SugarCRM id of a portal record
+ * @param {string} moduleName - Sync module name
+ * @param {string} portalId - Portal record id
+ * @returns {Promise<string|null>} SugarCRM id, or null if unknown
+ */
+export async function getSugarId(moduleName, portalId) {
+    if (usesPostgres()) {
+        await ensureIdXrefSchema();
+        const result = await query(
+            'SELECT sugar_id FROM integration_id_xref WHERE module = $1 AND portal_id = $2 ORDER BY last_synced_at DESC LIMIT 1',
+            [moduleName, String(portalId)]
+        );
+        if (!result.success) {
+            throw new Error(`Failed to load ID cross-reference: ${result.error}`);
+        }
+        return result.rows[0]?.sugar_id || null;
+    }
+
+    const records = await loadJsonXrefs(moduleName);
+    const match = Object.entries(records).find(([, entry]) => entry.portal_id === String(portalId));
+    return match ? match[0] : null;
+}
@@ -5,6 +5,11 @@
 
 import { query } from './database.js';
 import Logger from './logger.js';
+import { getRunContext } from './runContext.js';
+import { ensureTaskRunsSchema } from './taskRuns.js';
+
+// Warn once per process when rows are written without their run id
+let runIdWarningShown = false;
 
 /**
  * Log integration activity to PostgreSQL
@@ -17,6 +22,8 @@ import Logger from './logger.js';
  * @param {string} logData.internal_status - Internal status (Success, Failed, Pending, etc.)
  * @param {string} logData.message - Detailed log message
  * @returns {Promise<Object>} Log result
+ *
+ * Rows written during a task run also get the run id (task_runs.run_id).
  */
 async function logIntegration(logData) {
     const {
@@ -39,6 +46,21 @@ async function logIntegration(logData) {
         };
     }
 
+    // The run_id column comes with the task_runs schema (utils/taskRuns.js). If it cannot be
+    // put in place, the row is still written, without the run id
+    let runId = getRunContext()?.runId || null;
+    if (runId) {
+        try {
+            await ensureTaskRunsSchema();
+        } catch (error) {
+            if (!runIdWarningShown) {
+                runIdWarningShown = true;
+                console.log(`⚠️  integration_logs.run_id is not available, logging without run id: ${error.message}`);
+            }
+            runId = null;
+        }
+    }
+
     const insertQuery = `
         INSERT INTO integration_logs (
             log_type,
@@ -48,8 +70,8 @@ async function logIntegration(logData) {
             http_status,
             internal_status,
             message,
-            log_date
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+            log_date${runId ? ', run_id' : ''}
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()${runId ? ', $8' : ''})
         RETURNING id, log_date
     `;
 
@@ -75,6 +97,9 @@ async function logIntegration(logData) {
         internal_status,
         message
     ];
+    if (runId) {
+        params.push(runId);
+    }
 
     try {
         const result = await query(insertQuery, params);
@@ -93,7 +118,8 @@ async function logIntegration(logData) {
                 sugarId: sugar_id,
                 portalId: portal_id,
                 httpStatus: http_status,
-                internalStatus: internal_status
+                internalStatus: internal_status,
+                runId
             });
             
             return {
@@ -225,6 +251,7 @@ async function logSyncOperation(moduleName, operation, syncData = {}) {
  * @param {string} filters.module_name - Filter by module name
  * @param {string} filters.log_type - Filter by log type
  * @param {string} filters.internal_status - Filter by internal status
+ * @param {string} filters.run_id - Filter by task run id
  * @param {number} filters.limit - Limit number of results
  * @param {number} filters.offset - Offset for pagination
  * @returns {Promise<Object>} Query result
@@ -234,6 +261,7 @@ async function getIntegrationLogs(filters = {}) {
         module_name,
         log_type,
         internal_status,
+        run_id,
         limit = 100,
         offset = 0
     } = filters;
@@ -260,6 +288,12 @@ async function getIntegrationLogs(filters = {}) {
         paramIndex++;
     }
     
+    if (run_id) {
+        whereClause += whereClause ? ` AND run_id = $${paramIndex}` : ` WHERE run_id = $${paramIndex}`;
+        params.push(run_id);
+        paramIndex++;
+    }
+    
     const query = `
         SELECT 
             id,
@@ -0,0 +1,57 @@
+/**
+ * JSON File Utility
+ * Atomic writes and in-process update queues for the small JSON stores kept under data/
+ * (ID cross-references, record hashes, dead letters, backfill progress).
+ * The daemon runs several tasks in one process and the portal client sends batches in
+ * parallel, so a load → modify → save of one file must not interleave with another.
+ */
+
+import { writeFile, rename, mkdir, unlink } from 'fs/promises';
+import { dirname } from 'path';
+
+// Pending update of each file (path -> promise), so updates of one file run one at a time
+const fileQueues = new Map();
+
+// Makes temp file names unique within the process
+let tempCounter = 0;
+
+/**
+ * Write a JSON file atomically: to a temp file with a unique name, then renamed over the file
+ * A crash leaves either the old or the new version, never a partial file.
+ * @param {string} filePath - File path (its directory is created if needed)
+ * @param {*} data - Data to write (pretty-printed JSON)
+ */
+export async function writeJsonFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+
+    await mkdir(dirname(filePath), { recursive: true });
+    try {
+        await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Run an update of a file after the updates of the same file queued before it
+ * Use it around load → modify → save sequences. A failed update does not block the next one.
+ * Only serialises this process: writers in other processes are kept apart by the task lock.
+ * @param {string} filePath - File path (the queue key)
+ * @param {Function} update - Async function doing the update
+ * @returns {Promise<*>} Result of update
+ */
+export function queueFileUpdate(filePath, update) {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(update);
+    fileQueues.set(filePath, current);
+
+    // Forget the queue once it is drained
+    current.catch(() => {}).then(() => {
+        if (fileQueues.get(filePath) === current) {
+            fileQueues.delete(filePath);
+        }
+    });
+    return current;
+}
@@ -0,0 +1,213 @@
+/**
+ * Dead-Letter Queue Command
+ * `node index.js dlq list|show|replay|discard` - inspect and act on records the portal could not take
+ */
+
+import { listDeadLetters, getDeadLetter, removeDeadLetters, replayDeadLetters, isExhausted, DLQ_MAX_ATTEMPTS } from './deadLetters.js';
+import { listTaskNames, getTaskMetadata } from './taskCatalog.js';
+import { acquireTaskLock } from './taskLock.js';
+import { ConfigurationError } from './errors.js';
+
+const USAGE = 'Usage: node index.js dlq list|show|replay|discard [entryId|sugarId] [--module <name>]';
+
+/**
+ * Find the task that syncs a module
+ * @param {string} moduleName - Sync module name
+ * @returns {Promise<Object>} { taskName, metadata }
+ * @throws {ConfigurationError} If no task syncs the module
+ */
+async function findModuleTask(moduleName) {
+    for (const taskName of await listTaskNames()) {
+        const metadata = await getTaskMetadata(taskName);
+        if (metadata.syncModule === moduleName) {
+            return { taskName, metadata };
+        }
+    }
+    throw new ConfigurationError(`No task syncs module '${moduleName}'`);
+}
+
+/**
+ * Select the entries a command acts on
+ * @param {string} identifier - Entry id or SugarCRM id (optional)
+ * @param {Object} options - Parsed command line options (module)
+ * @returns {Promise<Array>} Entries
+ * @throws {Error} If the identifier does not match an entry
+ */
+async function selectEntries(identifier, options) {
+    if (!identifier) {
+        return await listDeadLetters({ module: options.module || null });
+    }
+
+    const entry = await getDeadLetter(identifier);
+    if (!entry || (options.module && entry.module !== options.module)) {
+        throw new Error(`Dead letter not found: ${identifier}`);
+    }
+    return [entry];
+}
+
+/**
+ * Group entries by module
+ * @param {Array} entries - Dead-letter entries
+ * @returns {Map} Map of module name to entries
+ */
+function groupByModule(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        groups.set(entry.module, [...(groups.get(entry.module) || []), entry]);
+    });
+    return groups;
+}
+
+/**
+ * Run a callback for each module of a set of entries while holding the module task's lock
+ * Modules whose task is running are skipped.
+ * @param {Array} entries - Dead-letter entries
+ * @param {Function} callback - Receives (moduleName, entries, metadata)
+ * @returns {Promise<Array<string>>} Modules skipped because their task was running
+ */
+async function forEachLockedModule(entries, callback) {
+    const locked = [];
+
+    for (const [moduleName, moduleEntries] of groupByModule(entries)) {
+        const { taskName, metadata } = await findModuleTask(moduleName);
+        const lock = await acquireTaskLock(taskName);
+        if (!lock) {
+            console.log(`🔒 ${moduleName}: task '${taskName}' is running - skipped`);
+            locked.push(moduleName);
+            continue;
+        }
+        try {
+            await callback(moduleName, moduleEntries, metadata);
+        } finally {
+            await lock.release();
+        }
+    }
+    return locked;
+}
+
+/**
+ * List dead letters
+ * @param {Object} options - Parsed command line options (module)
+ */
+async function handleListCommand(options) {
+    const entries = await listDeadLetters({ module: options.module || null });
+
+    console.log(`📮 Dead-letter queue${options.module ? ` for ${options.module}` : ''}: ${entries.length} record(s)`);
+    console.log('─'.repeat(50));
+
+    if (entries.length === 0) {
+        console.log('  No dead letters.');
+        return;
+    }
+
+    entries.forEach(entry => {
+        const exhausted = isExhausted(entry) ? ' (max attempts reached)' : '';
+        console.log(`  ${entry.id} | ${entry.module} | Sugar id: ${entry.sugar_id}`);
+        console.log(`      ${entry.failure_type} | attempts ${entry.attempts}/${DLQ_MAX_ATTEMPTS}${exhausted} | last failed ${new Date(entry.last_failed_at).toLocaleString()}`);
+        console.log(`      Error: ${entry.error_message || 'N/A'}`);
+    });
+}
+
+/**
+ * Show one dead letter with its SugarCRM record and payload
+ * @param {string} identifier - Entry id or SugarCRM id
+ * @param {Object} options - Parsed command line options (module)
+ */
+async function handleShowCommand(identifier, options) {
+    if (!identifier) {
+        throw new ConfigurationError('Usage: node index.js dlq show <entryId|sugarId>');
+    }
+    const [entry] = await selectEntries(identifier, options);
+
+    console.log(`📮 Dead letter: ${entry.id}`);
+    console.log('─'.repeat(50));
+    console.log(`  Module: ${entry.module}`);
+    console.log(`  Task: ${entry.task_name || 'N/A'}`);
+    console.log(`  Sugar id: ${entry.sugar_id}`);
+    console.log(`  Failure: ${entry.failure_type}`);
+    console.log(`  Attempts: ${entry.attempts}/${DLQ_MAX_ATTEMPTS}${isExhausted(entry) ? ' (only replayed manually)' : ''}`);
+    console.log(`  First failed at: ${entry.first_failed_at}`);
+    console.log(`  Last failed at: ${entry.last_failed_at}`);
+    console.log(`  Last run id: ${entry.last_run_id || 'N/A'}`);
+    console.log(`  Error: ${entry.error_message || 'N/A'}`);
+    if (entry.validation_errors) {
+        console.log(`  Validation errors: ${JSON.stringify(entry.validation_errors, null, 2)}`);
+    }
+    console.log('\n📤 Payload:');
+    console.log(JSON.stringify(entry.payload, null, 2));
+    console.log('\n📥 SugarCRM record:');
+    console.log(JSON.stringify(entry.sugar_record, null, 2));
+}
+
+/**
+ * Send dead letters to the portal again (max attempts do not apply)
+ * @param {string} identifier - Entry id or SugarCRM id (optional: every entry, or every entry of --module)
+ * @param {Object} options - Parsed command line options (module)
+ * @returns {Promise<Object>} { retried, delivered, failed, locked }
+ */
+async function handleReplayCommand(identifier, options) {
+    const entries = await selectEntries(identifier, options);
+    const totals = { retried: 0, delivered: 0, failed: 0 };
+
+    if (entries.length === 0) {
+        console.log('📮 No dead letters to replay.');
+        return { ...totals, locked: [] };
+    }
+
+    const locked = await forEachLockedModule(entries, async (moduleName, moduleEntries, metadata) => {
+        console.log(`📮 ${moduleName}: replaying ${moduleEntries.length} record(s)`);
+        const summary = await replayDeadLetters(metadata, moduleEntries);
+        console.log(`  ✅ Delivered: ${summary.delivered} | ❌ Still failing: ${summary.failed}`);
+        Object.keys(totals).forEach(key => { totals[key] += summary[key]; });
+    });
+
+    console.log(`\nReplayed: ${totals.retried} | Delivered: ${totals.delivered} | Still failing: ${totals.failed}`);
+    return { ...totals, locked };
+}
+
+/**
+ * Remove dead letters without sending them
+ * @param {string} identifier - Entry id or SugarCRM id (or --module for every entry of a module)
+ * @param {Object} options - Parsed command line options (module)
+ * @returns {Promise<Object>} { discarded, locked }
+ */
+async function handleDiscardCommand(identifier, options) {
+    if (!identifier && !options.module) {
+        throw new ConfigurationError('Usage: node index.js dlq discard <entryId|sugarId> | --module <name>');
+    }
+
+    const entries = await selectEntries(identifier, options);
+    let discarded = 0;
+
+    const locked = await forEachLockedModule(entries, async (moduleName, moduleEntries) => {
+        discarded += await removeDeadLetters(moduleName, moduleEntries.map(entry => entry.sugar_id));
+    });
+
+    console.log(`🗑️  Discarded ${discarded} dead letter(s)`);
+    return { discarded, locked };
+}
+
+/**
+ * Run a dlq command
+ * @param {string} action - list, show, replay or discard
+ * @param {string} identifier - Entry id or SugarCRM id (show/replay/discard)
+ * @param {Object} options - Parsed command line options (module)
+ * @returns {Promise<Object>} Command outcome: { failed, locked } counts are used for the exit code
+ * @throws {ConfigurationError} If the action is unknown
+ */
+export async function runDeadLetterCommand(action, identifier, options = {}) {
+    switch (action) {
+        case 'list':
+            await handleListCommand(options);
+            return { failed: 0, locked: [] };
+        case 'show':
+            await handleShowCommand(identifier, options);
+            return { failed: 0, locked: [] };
+        case 'replay':
+            return await handleReplayCommand(identifier, options);
+        case 'discard':
+            return { failed: 0, ...await handleDiscardCommand(identifier, options) };
+        default:
+            throw new ConfigurationError(USAGE);
+    }
+}
@@ -12,7 +12,11 @@ import {
     deleteSyncRecord,
     resetAllSyncRecords,
     getSyncRecordsByStatus,
-    getSyncRecordsByDirection
+    getSyncRecordsByDirection,
+    getSyncHistory,
+    summarizeSyncHistory,
+    isStaleSyncRun,
+    SYNC_STATES
 } from '../utils/syncTracker.js';
 
 /**
@@ -24,9 +28,9 @@ function displaySyncRecords(records) {
         return;
     }
 
-    console.log('  ┌─────────────────┬─────────────────────┬───────────┬─────────────────────┬─────────────────────┬─────────┐');
-    console.log('  │ Module Name     │ Integration Name    │ Direction │ Last Sync At        │ Updated At          │ Status  │');
-    console.log('  ├─────────────────┼─────────────────────┼───────────┼─────────────────────┼─────────────────────┼─────────┤');
+    console.log('  ┌─────────────────┬─────────────────────┬───────────┬─────────────────────┬─────────────────────┬─────────────┐');
+    console.log('  │ Module Name     │ Integration Name    │ Direction │ Last Sync At        │ Updated At          │ Status      │');
+    console.log('  ├─────────────────┼─────────────────────┼───────────┼─────────────────────┼─────────────────────┼─────────────┤');
 
     records.forEach(record => {
         const moduleName = (record.module_name || '').padEnd(15).substring(0, 15);
@@ -38,12 +42,13 @@ function displaySyncRecords(records) {
         const updatedAt = record.updated_at ? 
             new Date(record.updated_at).toLocaleString().padEnd(19).substring(0, 19) : 
             'Never'.padEnd(19);
-        const status = (record.status || 'unknown').padEnd(7).substring(0, 7);
+        // A run that has been 'running' for too long most likely died
+        const status = (isStaleSyncRun(record) ? 'stale' : record.status || 'unknown').padEnd(11).substring(0, 11);
 
         console.log(`  │ ${moduleName} │ ${integrationName} │ ${direction} │ ${lastSync} │ ${updatedAt} │ ${status} │`);
     });
 
-    console.log('  └─────────────────┴─────────────────────┴───────────┴─────────────────────┴─────────────────────┴─────────┘');
+    console.log('  └─────────────────┴─────────────────────┴───────────┴─────────────────────┴─────────────────────┴─────────────┘');
 }
 
 /**
@@ -77,6 +82,9 @@ export default async function manageSync() {
             case 'delete':
                 await handleDeleteCommand(args);
                 break;
+            case 'history':
+                await handleHistoryCommand(args);
+                break;
             case 'help':
                 showHelp();
                 break;
@@ -96,7 +104,7 @@ async function handleListCommand(args) {
     const filter = args[1];
     
     let records;
-    if (filter === 'success' || filter === 'failed' || filter === 'pending') {
+    if (SYNC_STATES.includes(filter)) {
         records = await getSyncRecordsByStatus(filter);
         console.log(`📋 Sync Records (Status: ${filter}):`);
     } else if (filter === 'inbound' || filter === 'outbound') {
@@ -121,11 +129,15 @@ async function handleStatsCommand() {
     
     const stats = await getSyncStatistics();
     
+    console.log(`  • Backend: ${stats.backend}`);
     console.log(`  • Total Records: ${stats.total_records}`);
     console.log(`  • By Status:`);
-    console.log(`    - Success: ${stats.by_status.success}`);
-    console.log(`    - Failed: ${stats.by_status.failed}`);
-    console.log(`    - Pending: ${stats.by_status.pending}`);
+    Object.entries(stats.by_status).forEach(([status, count]) => {
+        console.log(`    - ${status.charAt(0).toUpperCase()}${status.slice(1)}: ${count}`);
+    });
+    if (stats.stale_running.length > 0) {
+        console.log(`  • ⚠️  Stale Running: ${stats.stale_running.join(', ')}`);
+    }
     console.log(`  • By Direction:`);
     console.log(`    - Inbound: ${stats.by_direction.inbound}`);
     console.log(`    - Outbound: ${stats.by_direction.outbound}`);
@@ -159,8 +171,10 @@ async function handleShowCommand(args) {
     console.log(`  Integration Name: ${record.integration_name}`);
     console.log(`  Direction: ${record.direction}`);
     console.log(`  Endpoint: ${record.endpoint || 'N/A'}`);
-    console.log(`  Status: ${record.status}`);
+    console.log(`  Status: ${record.status}${isStaleSyncRun(record) ? ' (stale - the run most likely died)' : ''}`);
+    console.log(`  Run Started At: ${record.started_at || 'Never'}`);
     console.log(`  Last Sync At: ${record.last_sync_at || 'Never'}`);
+    console.log(`  Last Sync Record Id: ${record.last_sync_id || 'N/A'}`);
     console.log(`  Updated At: ${record.updated_at || 'Never'}`);
     
     if (record.metadata) {
@@ -240,18 +254,59 @@ async function handleDeleteCommand(args) {
     console.log(`✅ Deleted sync record for: ${identifier}`);
 }
 
+/**
+ * Handle history command
+ */
+async function handleHistoryCommand(args) {
+    const identifier = args[1];
+    const limit = args[2] ? parseInt(args[2]) : null;
+
+    if (!identifier) {
+        console.log('❌ Usage: manageSync history <identifier> [count]');
+        return;
+    }
+
+    const history = await getSyncHistory(identifier, { limit });
+    const trend = summarizeSyncHistory(history);
+    const format = value => (value === null ? 'N/A' : value);
+
+    console.log(`📈 Sync History for: ${identifier} (latest ${history.length} run(s))`);
+    console.log('');
+
+    if (history.length === 0) {
+        console.log('  No runs recorded yet.');
+        return;
+    }
+
+    history.forEach(entry => {
+        const startedAt = new Date(entry.started_at).toLocaleString();
+        console.log(`  ${startedAt} | ${entry.status.padEnd(12)} | ${String(entry.duration_ms).padStart(8)}ms | fetched ${format(entry.fetched)}, sent ${format(entry.sent)}, failed ${format(entry.failed)}, unchanged ${format(entry.skipped_unchanged ?? null)}`);
+        console.log(`      Watermark: ${entry.watermark_used || 'none'} → ${entry.watermark_after || 'none'}`);
+    });
+
+    console.log('');
+    console.log('📊 Trend:');
+    console.log(`  • Runs: ${trend.runs} (${Object.entries(trend.by_status).map(([status, count]) => `${status}: ${count}`).join(', ')})`);
+    console.log(`  • Failure Rate: ${(trend.failure_rate * 100).toFixed(1)}%`);
+    console.log(`  • Average Duration: ${format(trend.average_duration_ms)}ms`);
+    console.log(`  • Records Per Run: ${format(trend.average_fetched)} fetched, ${format(trend.average_sent)} sent`);
+    console.log(`  • Runs Without Records: ${trend.zero_fetch_runs}`);
+    console.log(`  • Last Run With Records: ${trend.last_records_at ? new Date(trend.last_records_at).toLocaleString() : 'Never'}`);
+}
+
 /**
  * Show help information
  */
 function showHelp() {
     console.log('📖 Available Commands:');
     console.log('');
-    console.log('  list [filter]           - List all sync records (optional: success|failed|pending|inbound|outbound)');
+    console.log(`  list [filter]           - List all sync records (optional: ${SYNC_STATES.join('|')}|inbound|outbound)`);
     console.log('  stats                   - Show sync statistics');
     console.log('  show <identifier>       - Show details for a specific record');
     console.log('  reset [identifier]      - Reset sync record(s) to pending status');
     console.log('  create <module> <integration> <direction> [endpoint] - Create new sync record');
     console.log('  delete <identifier>     - Delete a sync record');
+    console.log('  history <identifier> [count] - Show recent runs with trend stats');
     console.log('  help                    - Show this help message');
     console.log('');
     console.log('Examples:');
@@ -261,4 +316,5 @@ function showHelp() {
     console.log('  node index.js manageSync reset');
     console.log('  node index.js manageSync create orders ncdex_orders_api inbound https://api.ncdex.com/orders');
     console.log('  node index.js manageSync delete old_integration');
+    console.log('  node index.js manageSync history Cases 20');
 }
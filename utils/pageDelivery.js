@@ -0,0 +1,128 @@
+/**
+ * Page Delivery Utility
+ * Sends one page of transformed SugarCRM records to the portal for a sync task: unchanged
+ * payloads are skipped, failed batches and rejected records are dead-lettered, and only the
+ * records the portal received are marked delivered on the run's checkpoint.
+ */
+
+import Logger from './logger.js';
+import { throwIfStopRequested } from './runContext.js';
+import { addPortalStatuses } from './taskResult.js';
+import { filterUnchangedRecords, saveDeliveredHashes } from './recordHashes.js';
+import { deadLetterRejectedRecords, deadLetterFailedBatch, deadLetterFailedBatches } from './deadLetters.js';
+
+/**
+ * Check whether no batch of a portal call got an HTTP response (network error or failed portal login)
+ * Such failures hit every page alike, so the run stops instead of dead-lettering page after page.
+ * Batches the portal answered with an error status are dead-lettered and the run goes on.
+ * @param {Object} result - callPortalAPI result
+ * @returns {boolean} True if every batch failed without an HTTP status
+ */
+function isPortalUnreachable(result) {
+    const batches = result.batches?.length ? result.batches : [result];
+    return batches.every(batch => !batch.success && !batch.status);
+}
+
+/**
+ * Create the page delivery of one sync task run
+ * @param {Object} metadata - Task metadata (mappingKey, syncModule)
+ * @param {Object} run - Run state
+ * @param {Object} run.options - Task options (force, dryRun)
+ * @param {Object} run.counts - Record counts from createSyncCounts
+ * @param {Object} run.checkpoint - Tracker from createSyncCheckpoint
+ * @param {Function} run.sync - Sends processed records to the portal: async (processedRecords) →
+ *   the callPortalAPI result ({ success, data, error, batches, failedBatches })
+ * @param {string} run.label - Portal module label for console output (e.g. 'Portal Members')
+ * @returns {Object} { deliver(page, transformedRecords, validationErrors), dryRunBatches, dryRunErrors }
+ */
+export function createPageDelivery(metadata, { options, counts, checkpoint, sync, label }) {
+    // Dry runs collect the would-be batches for the report instead of sending them
+    const dryRunBatches = [];
+    const dryRunErrors = [];
+
+    /**
+     * Deliver the records of one page
+     * @param {Object} page - Page from iterateRecords ({ number, records })
+     * @param {Array} transformedRecords - Portal payloads, in the same order as page.records
+     * @param {Array} validationErrors - Validation errors of the page ({ sugar_id, errors })
+     */
+    async function deliver(page, transformedRecords, validationErrors = []) {
+        const { records } = page;
+        counts.transformed += transformedRecords.length;
+        counts.invalid += validationErrors.length;
+
+        // Records whose payload is unchanged since the last delivery are not sent again (unless --force)
+        const batch = await filterUnchangedRecords(metadata.mappingKey, records, transformedRecords, options);
+        const { processedRecords } = batch;
+        counts.skipped_unchanged += batch.skipped;
+
+        // Dry run: report what would be sent without calling the portal or updating the sync tracker
+        if (options.dryRun) {
+            dryRunBatches.push(processedRecords);
+            dryRunErrors.push(...validationErrors);
+            return;
+        }
+
+        if (processedRecords.length === 0) {
+            checkpoint.markDelivered(records);
+            return;
+        }
+
+        console.log(`\n📈 Processing Summary (page ${page.number}):`);
+        console.log(`  • Records processed: ${processedRecords.length}`);
+
+        // Print the processed page before pushing to portal
+        console.log('\n📋 Processed Records:');
+        console.log('─'.repeat(60));
+        console.log(JSON.stringify(processedRecords, null, 2));
+        console.log('─'.repeat(60));
+
+        await Logger.dataProcessing('Processed records ready for portal sync', processedRecords, {
+            totalRecords: processedRecords.length,
+            page: page.number
+        });
+
+        // Not started once a shutdown was requested
+        throwIfStopRequested();
+        let delivery;
+        try {
+            delivery = await sync(processedRecords);
+            if (isPortalUnreachable(delivery)) {
+                throw new Error(`Portal API call failed: ${delivery.error}`);
+            }
+        } catch (error) {
+            // Keep the batch for a retry (next run or `dlq replay`), then fail the run
+            await deadLetterFailedBatch(metadata, batch, error);
+            throw error;
+        }
+
+        // Records of failed portal batches (all of them if every batch failed) are dead-lettered and
+        // not marked delivered, so the watermark stops before them; later pages are still sent
+        const { failedRecords, deadLettered } = await deadLetterFailedBatches(metadata, batch, delivery.failedBatches || []);
+        const failed = new Set(failedRecords);
+        counts.batch_failed += failedRecords.length;
+        counts.dead_lettered += deadLettered;
+        counts.sent += processedRecords.length - failedRecords.length;
+        checkpoint.markDelivered(records.filter(record => !failed.has(record)));
+
+        const responseArray = Array.isArray(delivery.data) ? delivery.data : [];
+        const statusCounts = addPortalStatuses(counts, responseArray);
+        await saveDeliveredHashes(metadata.mappingKey, batch, responseArray);
+        counts.dead_lettered += await deadLetterRejectedRecords(metadata, batch, responseArray);
+
+        console.log(`\n🎯 ${label} Sync Results (page ${page.number}):`);
+        console.log(`  • Total Records: ${responseArray.length}`);
+        Object.entries(statusCounts).forEach(([status, count]) => {
+            console.log(`  • ${status}: ${count}`);
+        });
+
+        await Logger.info(`${label} sync completed`, {
+            totalRecords: responseArray.length,
+            page: page.number,
+            statusCounts,
+            portalResponse: responseArray
+        });
+    }
+
+    return { deliver, dryRunBatches, dryRunErrors };
+}
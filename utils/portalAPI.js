@@ -1,35 +1,157 @@
 /**
  * Generic Portal API Utility
- * Reusable utility for making API calls to portal endpoints
+ * Reusable utility for making API calls to portal endpoints, sending array payloads in batches
  */
 
 import Logger from './logger.js';
 import { logIntegration } from './integrationLogger.js';
 import { getPortalToken } from './portalAuth.js';
+import { getRunSignal } from './runContext.js';
+import { fetchWithRetry } from './httpRetry.js';
+import { ConfigurationError } from './errors.js';
+import { recordPortalResponses } from './idCrossReference.js';
+import { getBatchSettings, splitIntoBatches } from './portalBatching.js';
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index)
+ * @returns {Promise<Array>} Results, in the order of items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Keep the sugar id → portal id cross-reference of a call's responses
+ * Written once per call, after every batch finished, so parallel batches never update the
+ * store at the same time. A failure there does not fail the call.
+ * @param {string} moduleName - Module name
+ * @param {*} responseData - Portal API response records
+ */
+async function recordCrossReferences(moduleName, responseData) {
+    if (!Array.isArray(responseData) || responseData.length === 0) {
+        return;
+    }
+    try {
+        await recordPortalResponses(moduleName, responseData);
+    } catch (error) {
+        console.log(`    ⚠️  Failed to update ID cross-references: ${error.message}`);
+        await Logger.warn('Failed to update ID cross-references', {
+            moduleName,
+            error: error.message
+        });
+    }
+}
 
 /**
  * Call Portal API with generic configuration
+ * Array payloads are sent in batches (see config/portalBatching.json), sequentially or with
+ * bounded parallelism. The responses of the batches are merged into one array; a failed batch
+ * does not stop the others and is reported in failedBatches.
  * @param {string} portalUrl - Full portal API URL
  * @param {Array} data - Data to send to portal API
  * @param {Object} options - Additional options for logging and customization
- * @param {string} options.endpoint - API endpoint name for logging
+ * @param {string} options.endpoint - API endpoint name for logging and batch settings
  * @param {string} options.moduleName - Module name for database logging
  * @param {Object} options.metadata - Additional metadata for logging
- * @returns {Promise<Object>} API response
+ * @param {string} options.retryPolicy - Retry policy name in config/retryPolicy.json (default: 'portal-api')
+ * @param {AbortSignal} options.signal - Aborts the request (default: signal of the current task run)
+ * @returns {Promise<Object>} API response: { success, data, status, error, batches, failedBatches } -
+ *   success is false if any batch failed; data holds the responses of the successful batches;
+ *   batches/failedBatches describe each batch as { index, offset, size, success, status, error }
+ * @throws {Error} The abort reason (e.g. TaskTimeoutError) if the signal is aborted
+ * @throws {ConfigurationError} If the retry policy or batch settings are invalid
  */
 async function callPortalAPI(portalUrl, data, options = {}) {
+    const { endpoint = 'portal-api', moduleName = 'Generic', metadata = {} } = options;
+
+    // Object payloads are a single request
+    if (!Array.isArray(data)) {
+        const result = await postPortalBatch(portalUrl, data, options);
+        await recordCrossReferences(moduleName, result.data);
+        return result;
+    }
+
+    const settings = getBatchSettings(endpoint);
+    const batches = splitIntoBatches(data, settings);
+    if (batches.length > 1) {
+        console.log(`    📦 Sending ${data.length} records in ${batches.length} batches (max ${settings.maxRecords} records / ${settings.maxBytes} bytes, ${settings.concurrency} at a time)`);
+    }
+
+    const results = await mapWithConcurrency(batches, settings.concurrency, (batch, index) => postPortalBatch(portalUrl, batch.records, {
+        ...options,
+        metadata: batches.length > 1
+            ? { ...metadata, batch: index + 1, batchCount: batches.length, batchOffset: batch.offset }
+            : metadata
+    }));
+
+    const batchResults = batches.map((batch, index) => ({
+        index,
+        offset: batch.offset,
+        size: batch.records.length,
+        success: results[index].success,
+        status: results[index].status,
+        error: results[index].error || null
+    }));
+    const failedBatches = batchResults.filter(batch => !batch.success);
+
+    await recordCrossReferences(moduleName, results.flatMap(result => (result.success && Array.isArray(result.data) ? result.data : [])));
+
+    if (batches.length === 1) {
+        return { ...results[0], batches: batchResults, failedBatches };
+    }
+
+    if (failedBatches.length > 0) {
+        console.log(`    ⚠️  ${failedBatches.length} of ${batches.length} portal batches failed (${failedBatches.reduce((total, batch) => total + batch.size, 0)} records)`);
+    }
+    return {
+        success: failedBatches.length === 0,
+        data: results.flatMap(result => (result.success && Array.isArray(result.data) ? result.data : [])),
+        status: (failedBatches[0] || batchResults[0]).status,
+        ...(failedBatches.length > 0 && {
+            error: `${failedBatches.length} of ${batches.length} batches failed: ${failedBatches[0].error}`
+        }),
+        batches: batchResults,
+        failedBatches
+    };
+}
+
+/**
+ * Send one batch to the portal
+ * @param {string} portalUrl - Full portal API URL
+ * @param {Array|Object} data - Records of the batch (or an object payload)
+ * @param {Object} options - See callPortalAPI
+ * @returns {Promise<Object>} { success, data, status } or { success: false, error, status }
+ * @throws {Error} The abort reason (e.g. TaskTimeoutError) if the signal is aborted
+ * @throws {ConfigurationError} If the retry policy is invalid
+ */
+async function postPortalBatch(portalUrl, data, options = {}) {
     const {
         endpoint = 'portal-api',
         moduleName = 'Generic',
-        metadata = {}
+        metadata = {},
+        retryPolicy = 'portal-api',
+        signal = getRunSignal()
     } = options;
     
     try {
         console.log(`    🔄 Making Portal API call to: ${portalUrl}`);
-        console.log(`    📤 Sending ${data.length} records`);
+        console.log(`    📤 Sending ${data.length} records${metadata.batch ? ` (batch ${metadata.batch}/${metadata.batchCount})` : ''}`);
         
         // Get portal authentication token
-        const token = await getPortalToken();
+        const token = await getPortalToken(null, { signal });
         
         // Prepare request body: preserve arrays as arrays (portal expects array payloads)
         const isArrayPayload = Array.isArray(data);
@@ -41,7 +163,8 @@ async function callPortalAPI(portalUrl, data, options = {}) {
                 portal_username: process.env.PORTAL_USERNAME || 'admin'
             });
 
-        const response = await fetch(portalUrl, {
+        // Network errors, 429 and 5xx are retried (see utils/httpRetry.js)
+        const response = await fetchWithRetry(portalUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -49,15 +172,18 @@ async function callPortalAPI(portalUrl, data, options = {}) {
                 // include portal username via header to avoid altering array payloads
                 'X-Portal-Username': process.env.PORTAL_USERNAME || 'admin'
             },
-            body: bodyPayload
-        });
+            body: bodyPayload,
+            signal
+        }, { endpoint: retryPolicy });
         
         console.log(`    📥 Response received: ${response.status} ${response.statusText}`);
         
         if (!response.ok) {
             const errorText = await response.text();
             console.log(`    ❌ Error response body: ${errorText}`);
-            throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+            const httpError = new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+            httpError.status = response.status;
+            throw httpError;
         }
         
         const responseData = await response.json();
@@ -94,6 +220,7 @@ async function callPortalAPI(portalUrl, data, options = {}) {
                 
                 console.log(`    📝 Logged: ${result.logType} - ${result.moduleName} - ${result.sugarId} → ${result.portalId} (${result.internalStatus})`);
             }
+
         }
         
         console.log(`    ✅ Portal API call completed successfully`);
@@ -104,6 +231,14 @@ async function callPortalAPI(portalUrl, data, options = {}) {
         };
         
     } catch (error) {
+        // A cancelled run is not a portal failure - let the task stop with the abort reason
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        if (error instanceof ConfigurationError) {
+            throw error;
+        }
+        
         console.log(`    ❌ Portal API call failed: ${error.message}`);
         console.log(`    🔍 Error details: ${error.stack}`);
         
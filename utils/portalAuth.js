@@ -5,6 +5,8 @@
 
 import Logger from './logger.js';
 import { getSecretEnv } from './secrets.js';
+import { getRunSignal } from './runContext.js';
+import { fetchWithRetry } from './httpRetry.js';
 
 let cachedToken = null;
 let tokenExpiry = null;
@@ -12,9 +14,12 @@ let tokenExpiry = null;
 /**
  * Get portal bearer token
  * @param {string} baseUrl - Portal base URL
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the login request (default: signal of the current task run)
  * @returns {Promise<string>} Bearer token
  */
-export async function getPortalToken(baseUrl = null) {
+export async function getPortalToken(baseUrl = null, options = {}) {
+    const { signal = getRunSignal() } = options;
     const portalBaseUrl = baseUrl || process.env.PORTAL_BASE_URL || 'http://localhost:3001';
     const loginUrl = `${portalBaseUrl}/api/auth/admin/login`;
     
@@ -32,13 +37,14 @@ export async function getPortalToken(baseUrl = null) {
             password: getSecretEnv('PORTAL_PASSWORD') || 'admin123'
         };
         
-        const response = await fetch(loginUrl, {
+        const response = await fetchWithRetry(loginUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(loginData)
-        });
+            body: JSON.stringify(loginData),
+            signal
+        }, { endpoint: 'portal-login' });
         
         if (!response.ok) {
             throw new Error(`Portal login failed: ${response.status} ${response.statusText}`);
@@ -0,0 +1,92 @@
+/**
+ * Portal Batching Utility
+ * Batch settings per portal endpoint (config/portalBatching.json) and the split of array
+ * payloads into batches by record count and JSON body size
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BATCHING_FILE = join(__dirname, '..', 'config', 'portalBatching.json');
+
+// Used when config/portalBatching.json has no default section
+const DEFAULT_BATCHING = {
+    maxRecords: 100,
+    maxBytes: 1048576,
+    concurrency: 1
+};
+
+let batchingConfig = null;
+
+/**
+ * Load config/portalBatching.json (once per process)
+ * @returns {Object} { default, endpoints }
+ */
+function loadBatchingConfig() {
+    if (!batchingConfig) {
+        try {
+            const config = JSON.parse(readFileSync(BATCHING_FILE, 'utf8'));
+            batchingConfig = {
+                default: { ...DEFAULT_BATCHING, ...(config.default || {}) },
+                endpoints: config.endpoints || {}
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ConfigurationError(`Failed to load portal batching config: ${error.message}`);
+            }
+            batchingConfig = { default: { ...DEFAULT_BATCHING }, endpoints: {} };
+        }
+    }
+    return batchingConfig;
+}
+
+/**
+ * Get the batch settings of a portal endpoint
+ * Endpoint entries in config/portalBatching.json override the default section field by field.
+ * @param {string} endpoint - Portal endpoint path (e.g. 'api/integration/SugarMemberToPortalMember')
+ * @returns {Object} { maxRecords, maxBytes, concurrency }
+ * @throws {ConfigurationError} If a setting is not a positive integer
+ */
+export function getBatchSettings(endpoint) {
+    const config = loadBatchingConfig();
+    const settings = { ...config.default, ...(config.endpoints[endpoint] || {}) };
+
+    for (const key of Object.keys(DEFAULT_BATCHING)) {
+        if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+            throw new ConfigurationError(`Invalid ${key} for endpoint '${endpoint}' in portal batching config: ${settings[key]}`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Split records into batches of at most maxRecords records and maxBytes of JSON body
+ * A record larger than maxBytes on its own is sent as a batch of one.
+ * @param {Array} records - Records to send
+ * @param {Object} settings - { maxRecords, maxBytes }
+ * @returns {Array<Object>} Batches: { offset, records } (offset of the first record in records)
+ */
+export function splitIntoBatches(records, { maxRecords, maxBytes }) {
+    const batches = [];
+    let current = null;
+
+    records.forEach((record, index) => {
+        const size = Buffer.byteLength(JSON.stringify(record));
+        // Body is [record,record,...]: brackets plus one comma per extra record
+        if (!current || current.records.length >= maxRecords || current.bytes + size + 1 > maxBytes) {
+            current = { offset: index, records: [], bytes: 2 };
+            batches.push(current);
+        }
+        current.records.push(record);
+        current.bytes += size + (current.records.length > 1 ? 1 : 0);
+    });
+
+    return batches.length > 0
+        ? batches.map(({ offset, records: batchRecords }) => ({ offset, records: batchRecords }))
+        : [{ offset: 0, records }];
+}
@@ -0,0 +1,191 @@
+/**
+ * Rate Limiter Utility
+ * Client-side token-bucket rate limiting and concurrency limits for API budgets
+ * (e.g. the SugarCRM filter and link APIs), with per-run throttling stats
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+import { getRunContext } from './runContext.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RATE_LIMITS_FILE = join(__dirname, '..', 'config', 'rateLimits.json');
+
+// Limiters are shared by every run in the process, since the server-side limit is too
+const limiters = new Map();
+
+let budgetConfig = null;
+
+/**
+ * Load the budgets from config/rateLimits.json (once per process)
+ * @returns {Object} Map of budget name to { requestsPerSecond, burst, maxConcurrency }
+ */
+function loadBudgets() {
+    if (!budgetConfig) {
+        try {
+            budgetConfig = JSON.parse(readFileSync(RATE_LIMITS_FILE, 'utf8')).budgets || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ConfigurationError(`Failed to load rate limits: ${error.message}`);
+            }
+            budgetConfig = {};
+        }
+    }
+    return budgetConfig;
+}
+
+/**
+ * Create a token-bucket rate limiter with a concurrency limit
+ * Requests are granted in the order they were made.
+ * @param {string} name - Budget name (used in stats)
+ * @param {Object} settings - Limits
+ * @param {number} settings.requestsPerSecond - Token refill rate (0 or missing: no rate limit)
+ * @param {number} settings.burst - Bucket size (default: requestsPerSecond)
+ * @param {number} settings.maxConcurrency - Requests in flight at once (0 or missing: unlimited)
+ * @returns {Object} Limiter: { name, schedule(fn, options) }
+ */
+export function createRateLimiter(name, settings = {}) {
+    const requestsPerSecond = settings.requestsPerSecond || 0;
+    const burst = settings.burst || Math.max(1, requestsPerSecond);
+    const maxConcurrency = settings.maxConcurrency || Infinity;
+
+    if (requestsPerSecond < 0 || burst < 1 || maxConcurrency < 1) {
+        throw new ConfigurationError(`Invalid rate limit settings for '${name}': ${JSON.stringify(settings)}`);
+    }
+
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let active = 0;
+    let refillTimer = null;
+    const queue = [];
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+        lastRefill = now;
+    }
+
+    /**
+     * Grant waiting requests while there are tokens and free slots
+     */
+    function drain() {
+        while (queue.length > 0 && active < maxConcurrency) {
+            if (requestsPerSecond > 0) {
+                refill();
+                if (tokens < 1) {
+                    if (!refillTimer) {
+                        const waitMs = Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+                        refillTimer = setTimeout(() => {
+                            refillTimer = null;
+                            drain();
+                        }, waitMs);
+                    }
+                    return;
+                }
+                tokens -= 1;
+            }
+            active++;
+            queue.shift().grant();
+        }
+    }
+
+    /**
+     * Wait for a token and a free slot
+     * @param {AbortSignal} signal - Stops waiting when aborted
+     * @returns {Promise<void>}
+     */
+    function acquire(signal) {
+        signal?.throwIfAborted();
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                queue.splice(queue.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            const waiter = {
+                grant() {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            queue.push(waiter);
+            drain();
+        });
+    }
+
+    /**
+     * Run a request within the budget
+     * The time spent waiting is added to the current run's rate limit stats.
+     * The concurrency slot is held until fn settles, so fn should also read the response body
+ * (see fetchWithRetry in utils/httpRetry.js).
+ * @param {Function} fn - Async function making the request
+     * @param {Object} options - Options
+     * @param {AbortSignal} options.signal - Stops waiting when aborted
+     * @returns {Promise<*>} Return value of fn
+     */
+    async function schedule(fn, options = {}) {
+        const waitStart = Date.now();
+        await acquire(options.signal);
+        recordWait(name, Date.now() - waitStart);
+
+        try {
+            return await fn();
+        } finally {
+            active--;
+            drain();
+        }
+    }
+
+    return { name, schedule };
+}
+
+/**
+ * Get the shared limiter of a budget in config/rateLimits.json
+ * @param {string} name - Budget name (e.g. 'sugarcrm-filter', 'sugarcrm-link')
+ * @returns {Object|null} Limiter, or null if the budget is not configured
+ */
+export function getRateLimiter(name) {
+    if (!limiters.has(name)) {
+        const settings = loadBudgets()[name];
+        limiters.set(name, settings ? createRateLimiter(name, settings) : null);
+    }
+    return limiters.get(name);
+}
+
+/**
+ * Create empty rate limit stats for a task run (kept in the run context as rateLimitStats)
+ * @returns {Object} Map of budget name to { requests, throttled, wait_ms, max_wait_ms }
+ */
+export function createRateLimitStats() {
+    return {};
+}
+
+/**
+ * Add a request's wait time to the current run's stats
+ * @param {string} name - Budget name
+ * @param {number} waitMs - Time the request waited for a token or slot
+ */
+function recordWait(name, waitMs) {
+    const stats = getRunContext()?.rateLimitStats;
+    if (!stats) {
+        return;
+    }
+
+    const budget = stats[name] || (stats[name] = { requests: 0, throttled: 0, wait_ms: 0, max_wait_ms: 0 });
+    budget.requests++;
+    // Waits of a few milliseconds are just scheduling noise
+    if (waitMs >= 5) {
+        budget.throttled++;
+        budget.wait_ms += waitMs;
+        budget.max_wait_ms = Math.max(budget.max_wait_ms, waitMs);
+    }
+}
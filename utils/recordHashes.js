@@ -0,0 +1,255 @@
+/**
+ * Record Hash Utility
+ * Keeps a hash of the payload last delivered to the portal per (mapping type, sugar id).
+ * SugarCRM bumps date_modified for changes in fields that are not mapped, so a record can be
+ * fetched again with an identical payload; such records are skipped instead of resent.
+ * Hashes live in the integration_record_hashes PostgreSQL table, or in data/record_hashes/
+ * when the sync tracker uses the JSON backend (see getSyncBackendName).
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { query } from './database.js';
+import { getSyncBackendName } from './syncTracker.js';
+import { isPortalFailureStatus } from './taskResult.js';
+import { writeJsonFileAtomic, queueFileUpdate } from './jsonFile.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RECORD_HASHES_DIR = join(__dirname, '..', 'data', 'record_hashes');
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS integration_record_hashes (
+        mapping_key VARCHAR(255) NOT NULL,
+        sugar_id VARCHAR(255) NOT NULL,
+        payload_hash CHAR(64) NOT NULL,
+        synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (mapping_key, sugar_id)
+    )`
+];
+
+let schemaReady = null;
+
+/**
+ * Create the integration_record_hashes table if it does not exist
+ * Runs once per process.
+ * @returns {Promise<boolean>} True if the schema is in place
+ */
+async function ensureRecordHashesSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            for (const statement of SCHEMA_STATEMENTS) {
+                const result = await query(statement);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+            return true;
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a transformed portal payload
+ * @param {Object} payload - Record as sent to the portal
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashPayload(payload) {
+    return createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * Get the JSON file holding the hashes of a mapping type
+ * @param {string} mappingKey - Field mapping key (e.g. sugarcrm_to_portal_members)
+ * @returns {string} File path
+ */
+function getHashFilePath(mappingKey) {
+    return join(RECORD_HASHES_DIR, `${mappingKey}.json`);
+}
+
+/**
+ * Load the hashes of a mapping type from its JSON file
+ * @param {string} mappingKey - Field mapping key
+ * @returns {Promise<Object>} Map of sugar id to { hash, synced_at }
+ */
+async function loadJsonHashes(mappingKey) {
+    try {
+        return JSON.parse(await readFile(getHashFilePath(mappingKey), 'utf8')).records || {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+/**
+ * Save hashes of a mapping type to its JSON file (atomic write)
+ * Updates of one file run one at a time, as tasks share a process in the daemon.
+ * @param {string} mappingKey - Field mapping key
+ * @param {Array<Object>} entries - { sugarId, hash }
+ */
+async function saveJsonHashes(mappingKey, entries) {
+    const filePath = getHashFilePath(mappingKey);
+
+    await queueFileUpdate(filePath, async () => {
+        const records = await loadJsonHashes(mappingKey);
+        const syncedAt = new Date().toISOString();
+
+        entries.forEach(({ sugarId, hash }) => {
+            records[sugarId] = { hash, synced_at: syncedAt };
+        });
+
+        await writeJsonFileAtomic(filePath, { mapping_key: mappingKey, records });
+    });
+}
+
+/**
+ * Get the stored hashes of some records
+ * @param {string} mappingKey - Field mapping key
+ * @param {Array<string>} sugarIds - SugarCRM record ids
+ * @returns {Promise<Map>} Map of sugar id to hash (records never delivered are missing)
+ */
+export async function getRecordHashes(mappingKey, sugarIds) {
+    const hashes = new Map();
+
+    if (getSyncBackendName() === 'postgres') {
+        await ensureRecordHashesSchema();
+        const result = await query(
+            'SELECT sugar_id, payload_hash FROM integration_record_hashes WHERE mapping_key = $1 AND sugar_id = ANY($2)',
+            [mappingKey, sugarIds]
+        );
+        if (!result.success) {
+            throw new Error(`Failed to load record hashes: ${result.error}`);
+        }
+        result.rows.forEach(row => hashes.set(row.sugar_id, row.payload_hash));
+        return hashes;
+    }
+
+    const records = await loadJsonHashes(mappingKey);
+    sugarIds.forEach(sugarId => {
+        if (records[sugarId]) {
+            hashes.set(sugarId, records[sugarId].hash);
+        }
+    });
+    return hashes;
+}
+
+/**
+ * Store the hashes of delivered records
+ * @param {string} mappingKey - Field mapping key
+ * @param {Array<Object>} entries - { sugarId, hash }
+ */
+export async function saveRecordHashes(mappingKey, entries) {
+    if (entries.length === 0) {
+        return;
+    }
+
+    if (getSyncBackendName() === 'postgres') {
+        await ensureRecordHashesSchema();
+        const result = await query(`
+            INSERT INTO integration_record_hashes (mapping_key, sugar_id, payload_hash, synced_at)
+            SELECT $1, entry.sugar_id, entry.payload_hash, NOW()
+            FROM unnest($2::text[], $3::text[]) AS entry (sugar_id, payload_hash)
+            ON CONFLICT (mapping_key, sugar_id) DO UPDATE SET
+                payload_hash = EXCLUDED.payload_hash,
+                synced_at = EXCLUDED.synced_at
+        `, [mappingKey, entries.map(entry => entry.sugarId), entries.map(entry => entry.hash)]);
+        if (!result.success) {
+            throw new Error(`Failed to save record hashes: ${result.error}`);
+        }
+        return;
+    }
+
+    await saveJsonHashes(mappingKey, entries);
+}
+
+/**
+ * Drop the records of a page whose payload is unchanged since it was last delivered
+ * If the stored hashes cannot be read every record is kept (sending too much is safe).
+ * @param {string} mappingKey - Field mapping key
+ * @param {Array} records - SugarCRM records of the page
+ * @param {Array} processedRecords - Transformed records, in the same order as records
+ * @param {Object} options - Task options
+ * @param {boolean} options.force - Keep every record (--force)
+ * @returns {Promise<Object>} { records, processedRecords, hashes, skipped } - the changed records
+ *   (still aligned), the payload hash of each, and the number of unchanged records dropped
+ */
+export async function filterUnchangedRecords(mappingKey, records, processedRecords, { force = false } = {}) {
+    const hashes = processedRecords.map(hashPayload);
+    const changed = { records: [], processedRecords: [], hashes: [], skipped: 0 };
+
+    let storedHashes = new Map();
+    if (!force) {
+        try {
+            storedHashes = await getRecordHashes(mappingKey, records.map(record => record.id));
+        } catch (error) {
+            console.log(`  ⚠️  Could not read record hashes, sending every record: ${error.message}`);
+            await Logger.warn('Failed to load record hashes', { mappingKey, error: error.message });
+        }
+    }
+
+    records.forEach((record, index) => {
+        if (storedHashes.get(record.id) === hashes[index]) {
+            changed.skipped++;
+            return;
+        }
+        changed.records.push(record);
+        changed.processedRecords.push(processedRecords[index]);
+        changed.hashes.push(hashes[index]);
+    });
+
+    if (changed.skipped > 0) {
+        console.log(`  ⏭️  Skipping ${changed.skipped} unchanged record(s) (payload identical to the last delivery)`);
+    }
+    return changed;
+}
+
+/**
+ * Store the hashes of the records the portal accepted in a batch
+ * Records the portal rejected (or did not report) keep their old hash, so they are sent again.
+ * A failure is only logged: at worst the records are resent by the next run.
+ * @param {string} mappingKey - Field mapping key
+ * @param {Object} batch - Changed records from filterUnchangedRecords ({ records, hashes })
+ * @param {Array} responseArray - Portal API response records of the batch
+ */
+export async function saveDeliveredHashes(mappingKey, batch, responseArray) {
+    const accepted = new Set(
+        responseArray
+            .filter(response => response && !isPortalFailureStatus(response.internalStatus))
+            .map(response => response.sugarId)
+    );
+    const entries = batch.records
+        .map((record, index) => ({ sugarId: record.id, hash: batch.hashes[index] }))
+        .filter(entry => accepted.has(entry.sugarId));
+
+    try {
+        await saveRecordHashes(mappingKey, entries);
+    } catch (error) {
+        console.log(`  ⚠️  Failed to save record hashes: ${error.message}`);
+        await Logger.warn('Failed to save record hashes', { mappingKey, records: entries.length, error: error.message });
+    }
+}
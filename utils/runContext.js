@@ -0,0 +1,46 @@
+/**
+ * Run Context Utility
+ * Makes details of the current task run (such as its run id) available to code
+ * called during the run without passing them through every function
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a run context
+ * @param {Object} context - Run context (runId, taskName, signal, stopSignal, backfill)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Return value of fn
+ */
+export function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the task run the caller is executing in
+ * @returns {Object|null} Run context, or null outside a task run
+ */
+export function getRunContext() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Get the AbortSignal of the current task run
+ * HTTP helpers use it when the caller does not pass a signal explicitly.
+ * @returns {AbortSignal|undefined} Signal that aborts when the run is cancelled
+ */
+export function getRunSignal() {
+    return getRunContext()?.signal;
+}
+
+/**
+ * Throw if the current task run has been asked to stop (SIGINT/SIGTERM)
+ * Called at safe points - before fetching the next page or pushing the next batch -
+ * so that requests already in flight can finish.
+ * @throws {TaskInterruptedError} If a stop was requested
+ */
+export function throwIfStopRequested() {
+    getRunContext()?.stopSignal?.throwIfAborted();
+}
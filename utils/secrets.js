@@ -1,5 +1,6 @@
 import fs from 'fs';
 import crypto from 'crypto';
+import { ConfigurationError } from './errors.js';
 
 function loadPrivateKey() {
     const keyFromEnv = process.env.RSA_PRIVATE_KEY;
@@ -8,10 +9,10 @@ function loadPrivateKey() {
     }
     const keyPath = process.env.RSA_PRIVATE_KEY_PATH;
     if (!keyPath) {
-        throw new Error('RSA_PRIVATE_KEY or RSA_PRIVATE_KEY_PATH must be set');
+        throw new ConfigurationError('RSA_PRIVATE_KEY or RSA_PRIVATE_KEY_PATH must be set');
     }
     if (!fs.existsSync(keyPath)) {
-        throw new Error(`Private key not found at: ${keyPath}`);
+        throw new ConfigurationError(`Private key not found at: ${keyPath}`);
     }
     return fs.readFileSync(keyPath, 'utf8');
 }
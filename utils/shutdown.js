@@ -0,0 +1,128 @@
+/**
+ * Graceful Shutdown Utility
+ * Turns SIGINT/SIGTERM into cooperative cancellation of the task runs in progress
+ */
+
+import { TaskInterruptedError } from './errors.js';
+import Logger from './logger.js';
+
+// How long in-flight requests may take to finish after the first signal
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 30 * 1000;
+
+const activeRuns = new Set();
+const shutdownHooks = [];
+let shutdownSignal = null;
+let idleWaiters = [];
+
+/**
+ * Abort the in-flight requests of every active run
+ * @param {string} signal - Signal name
+ */
+function abortActiveRuns(signal) {
+    for (const run of activeRuns) {
+        run.abort(new TaskInterruptedError(signal));
+    }
+}
+
+/**
+ * Handle SIGINT/SIGTERM
+ * The first signal asks runs to stop at their next safe point; a second signal,
+ * or the grace period running out, aborts in-flight requests as well.
+ * @param {string} signal - Signal name
+ */
+function handleSignal(signal) {
+    if (shutdownSignal) {
+        console.log(`\n🛑 Received ${signal} again - aborting in-flight requests`);
+        abortActiveRuns(signal);
+        return;
+    }
+
+    shutdownSignal = signal;
+    console.log(`\n🛑 Received ${signal} - letting in-flight requests finish, no new pages, batches or tasks will start`);
+    Logger.warn(`Received ${signal} - shutting down`, {
+        activeRuns: [...activeRuns].map(run => run.taskName),
+        graceMs: SHUTDOWN_GRACE_MS
+    });
+
+    for (const run of activeRuns) {
+        run.stopController.abort(new TaskInterruptedError(signal));
+    }
+
+    setTimeout(() => abortActiveRuns(signal), SHUTDOWN_GRACE_MS).unref();
+
+    shutdownHooks.forEach(hook => hook(signal));
+}
+
+/**
+ * Install the SIGINT/SIGTERM handlers
+ */
+export function installShutdownHandlers() {
+    process.on('SIGINT', () => handleSignal('SIGINT'));
+    process.on('SIGTERM', () => handleSignal('SIGTERM'));
+}
+
+/**
+ * Register a function to call when the first shutdown signal arrives
+ * @param {Function} hook - Receives the signal name
+ */
+export function onShutdown(hook) {
+    shutdownHooks.push(hook);
+}
+
+/**
+ * Get the signal that started the shutdown
+ * @returns {string|null} Signal name, or null if no shutdown was requested
+ */
+export function getShutdownSignal() {
+    return shutdownSignal;
+}
+
+/**
+ * Register a task run so that a shutdown can stop it
+ * @param {string} taskName - Task name
+ * @returns {Object} Run handle: { stopSignal, signal, abort(reason), release() }
+ *   stopSignal aborts on the first shutdown signal (stop at the next safe point);
+ *   signal aborts in-flight requests (second signal, grace period expired, or abort() e.g. on timeout)
+ */
+export function registerRun(taskName) {
+    const stopController = new AbortController();
+    const abortController = new AbortController();
+
+    const run = {
+        taskName,
+        stopController,
+        stopSignal: stopController.signal,
+        signal: abortController.signal,
+        abort(reason) {
+            if (!abortController.signal.aborted) {
+                abortController.abort(reason);
+            }
+        },
+        release() {
+            activeRuns.delete(run);
+            if (activeRuns.size === 0) {
+                idleWaiters.forEach(resolve => resolve());
+                idleWaiters = [];
+            }
+        }
+    };
+
+    // A signal that arrived before the run registered still stops it at the first safe point
+    if (shutdownSignal) {
+        stopController.abort(new TaskInterruptedError(shutdownSignal));
+    }
+
+    activeRuns.add(run);
+    return run;
+}
+
+/**
+ * Wait until every registered run has been released
+ * @returns {Promise<void>}
+ */
+export function waitForActiveRuns() {
+    if (activeRuns.size === 0) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => idleWaiters.push(resolve));
+}
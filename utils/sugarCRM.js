@@ -4,56 +4,186 @@
  */
 
 import { getSecretEnv } from './secrets.js';
+import { ConfigurationError } from './errors.js';
+import { getRunSignal, throwIfStopRequested } from './runContext.js';
+import { fetchWithRetry } from './httpRetry.js';
+import { getRateLimiter } from './rateLimiter.js';
+
+// Refresh the access token this long before SugarCRM says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Cached OAuth tokens: { accessToken, expiresAt, refreshToken, refreshExpiresAt } (times in ms)
+let tokenCache = null;
+
+// Token request in progress, shared by concurrent callers
+let pendingTokenRequest = null;
 
 /**
- * Authenticate with SugarCRM and get OAuth token
- * @returns {Promise<string>} OAuth token
+ * Get the SugarCRM connection settings from the environment
+ * @returns {Object} { username, password, apiUrl }
  */
-export async function authenticateSugarCRM() {
+function getSugarCRMCredentials() {
     const username = process.env.SUGARCRM_USERNAME;
     const password = getSecretEnv('SUGARCRM_PASSWORD');
     const apiUrl = process.env.SUGARCRM_API_URL;
     
     if (!username || !password || !apiUrl) {
-        throw new Error('Missing required environment variables: SUGARCRM_USERNAME, SUGARCRM_PASSWORD, SUGARCRM_API_URL');
+        throw new ConfigurationError('Missing required environment variables: SUGARCRM_USERNAME, SUGARCRM_PASSWORD, SUGARCRM_API_URL');
+    }
+    
+    return { username, password, apiUrl };
+}
+
+/**
+ * Request tokens from the SugarCRM OAuth endpoint and cache them
+ * @param {Object} grant - Grant-specific body fields (grant_type, username/password or refresh_token)
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<string>} Access token
+ */
+async function requestSugarCRMToken(grant, signal) {
+    const { apiUrl } = getSugarCRMCredentials();
+    
+    const response = await fetchWithRetry(`${apiUrl}/oauth2/token`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            client_id: 'sugar',
+            client_secret: '',
+            platform: 'base',
+            ...grant
+        }),
+        signal
+    }, { endpoint: 'sugarcrm-auth', rateLimiter: getRateLimiter('sugarcrm-filter') });
+    
+    if (!response.ok) {
+        throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
+    }
+    
+    const authData = await response.json();
+    
+    if (!authData.access_token) {
+        throw new Error('No access token received from SugarCRM');
     }
     
+    const now = Date.now();
+    tokenCache = {
+        accessToken: authData.access_token,
+        // SugarCRM issues 1 hour access tokens and 2 week refresh tokens by default
+        expiresAt: now + (authData.expires_in || 3600) * 1000,
+        refreshToken: authData.refresh_token || null,
+        refreshExpiresAt: authData.refresh_token
+            ? now + (authData.refresh_expires_in || 14 * 24 * 3600) * 1000
+            : 0
+    };
+    
+    return tokenCache.accessToken;
+}
+
+/**
+ * Authenticate with SugarCRM (password grant) and get OAuth token
+ * The new tokens replace any cached ones.
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request (default: signal of the current task run)
+ * @returns {Promise<string>} OAuth token
+ */
+export async function authenticateSugarCRM(options = {}) {
+    const { signal = getRunSignal() } = options;
+    const { username, password } = getSugarCRMCredentials();
+    
     try {
-        const authEndpoint = `${apiUrl}/oauth2/token`;
-        
-        const authBody = {
+        console.log('  🔑 Requesting new SugarCRM token...');
+        return await requestSugarCRMToken({
             grant_type: 'password',
-            client_id: 'sugar',
             username: username,
-            password: password,
-            platform: 'base'
-        };
-        
-        const response = await fetch(authEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(authBody)
-        });
+            password: password
+        }, signal);
         
-        if (!response.ok) {
-            throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
+    } catch (error) {
+        if (error instanceof ConfigurationError) {
+            throw error;
         }
-        
-        const authData = await response.json();
-        
-        if (!authData.access_token) {
-            throw new Error('No access token received from SugarCRM');
+        // A cancelled run surfaces its own error (e.g. TaskTimeoutError)
+        if (signal?.aborted) {
+            throw signal.reason;
         }
-        
-        return authData.access_token;
-        
-    } catch (error) {
         throw new Error(`SugarCRM authentication failed: ${error.message}`);
     }
 }
 
+/**
+ * Get a valid SugarCRM access token
+ * Uses the cached token while it is valid, refreshes it with the refresh_token grant
+ * shortly before it expires, and falls back to a full password grant.
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request (default: signal of the current task run)
+ * @param {boolean} options.forceReauthenticate - Ignore cached tokens and do a password grant
+ * @returns {Promise<string>} OAuth token
+ */
+export async function getSugarCRMToken(options = {}) {
+    const { signal = getRunSignal(), forceReauthenticate = false } = options;
+    
+    if (forceReauthenticate) {
+        tokenCache = null;
+    }
+    
+    if (tokenCache && Date.now() < tokenCache.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+        return tokenCache.accessToken;
+    }
+    
+    // Concurrent callers share one token request
+    if (!pendingTokenRequest) {
+        pendingTokenRequest = (async () => {
+            if (tokenCache?.refreshToken && Date.now() < tokenCache.refreshExpiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+                try {
+                    console.log('  🔑 Refreshing SugarCRM token...');
+                    return await requestSugarCRMToken({
+                        grant_type: 'refresh_token',
+                        refresh_token: tokenCache.refreshToken
+                    }, signal);
+                } catch (error) {
+                    if (signal?.aborted) {
+                        throw signal.reason;
+                    }
+                    console.log(`  ⚠️  SugarCRM token refresh failed (${error.message}) - logging in again`);
+                }
+            }
+            return await authenticateSugarCRM({ signal });
+        })().finally(() => {
+            pendingTokenRequest = null;
+        });
+    }
+    
+    return await pendingTokenRequest;
+}
+
+/**
+ * Make an authenticated SugarCRM request
+ * Network errors, 429 and 5xx are retried with the endpoint's retry policy (see utils/httpRetry.js).
+ * Every attempt counts against the rate limit budget in config/rateLimits.json (see utils/rateLimiter.js).
+ * On a 401 the cached token is dropped and the request is retried once after a fresh login.
+ * @param {string} url - Request URL
+ * @param {Function} buildInit - Returns the fetch options for a given access token
+ * @param {AbortSignal} signal - Aborts the request
+ * @param {string} endpoint - Retry policy name (e.g. 'sugarcrm-filter')
+ * @param {string} budget - Rate limit budget name ('sugarcrm-filter' or 'sugarcrm-link')
+ * @returns {Promise<Response>} Fetch response (the retried one after a 401)
+ */
+async function fetchWithSugarCRMToken(url, buildInit, signal, endpoint, budget) {
+    const retryOptions = { endpoint, rateLimiter: getRateLimiter(budget) };
+    const token = await getSugarCRMToken({ signal });
+    const response = await fetchWithRetry(url, { ...buildInit(token), signal }, retryOptions);
+    
+    if (response.status !== 401) {
+        return response;
+    }
+    
+    console.log('  🔑 SugarCRM rejected the access token (401) - logging in again');
+    const freshToken = await getSugarCRMToken({ signal, forceReauthenticate: true });
+    return await fetchWithRetry(url, { ...buildInit(freshToken), signal }, retryOptions);
+}
+
 /**
  * Generic POST method for SugarCRM API interactions
  * @param {Object} config - Configuration object
@@ -64,6 +194,7 @@ export async function authenticateSugarCRM() {
  * @param {number} config.offset - Offset for pagination (default: 0)
  * @param {string} config.orderBy - Field to order by (default: 'date_modified')
  * @param {string} config.orderDirection - Order direction 'asc' or 'desc' (default: 'desc')
+ * @param {AbortSignal} config.signal - Aborts the request (default: signal of the current task run)
  * @returns {Promise<Object>} API response data
  */
 export async function sugarCRMPost(config) {
@@ -74,7 +205,8 @@ export async function sugarCRMPost(config) {
         maxResults = 20,
         offset = 0,
         orderBy = 'date_modified',
-        orderDirection = 'desc'
+        orderDirection = 'desc',
+        signal = getRunSignal()
     } = config;
 
     // Validate required parameters
@@ -100,24 +232,20 @@ export async function sugarCRMPost(config) {
     try {
         const apiUrl = process.env.SUGARCRM_API_URL;
         if (!apiUrl) {
-            throw new Error('SUGARCRM_API_URL environment variable is required');
+            throw new ConfigurationError('SUGARCRM_API_URL environment variable is required');
         }
         
         const apiEndpoint = `${apiUrl}/${module}/filter`;
         
-        // Get OAuth token
-        const oauthToken = await authenticateSugarCRM();
-        
-        const headers = {
-            'Content-Type': 'application/json',
-            'OAuth-Token': oauthToken
-        };
-        
-        const response = await fetch(apiEndpoint, {
+        // Authenticated with the cached OAuth token (see getSugarCRMToken)
+        const response = await fetchWithSugarCRMToken(apiEndpoint, oauthToken => ({
             method: 'POST',
-            headers: headers,
+            headers: {
+                'Content-Type': 'application/json',
+                'OAuth-Token': oauthToken
+            },
             body: JSON.stringify(requestBody)
-        });
+        }), signal, 'sugarcrm-filter', 'sugarcrm-filter');
         
         if (!response.ok) {
             throw new Error(`SugarCRM API call failed: ${response.status} ${response.statusText}`);
@@ -133,6 +261,12 @@ export async function sugarCRMPost(config) {
         };
         
     } catch (error) {
+        if (error instanceof ConfigurationError) {
+            throw error;
+        }
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
         throw new Error(`SugarCRM API call failed for module '${module}': ${error.message}`);
     }
 }
@@ -178,46 +312,146 @@ export function createTextFilter(field, operator = '$eq', value) {
 
 
 /**
- * Fetch records from SugarCRM with pagination support
- * @param {Object} config - Configuration object (same as sugarCRMPost)
- * @param {Function} onPage - Callback function called for each page of results
- * @returns {Promise<Object>} Summary of all fetched records
+ * Create the keyset filter that selects records after a cursor
+ * Matches date_modified > cursor.date_modified, or the same date_modified with a greater id.
+ * @param {Object} cursor - Last record of the previous page: { date_modified, id }
+ * @returns {Object} SugarCRM filter object
  */
-export async function fetchAllRecords(config, onPage = null) {
-    let allRecords = [];
-    let offset = 0;
+export function createKeysetFilter(cursor) {
+    return {
+        $or: [
+            { date_modified: { $gt: cursor.date_modified } },
+            {
+                $and: [
+                    { date_modified: { $equals: cursor.date_modified } },
+                    { id: { $gt: cursor.id } }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Stream records from SugarCRM page by page
+ * Only one page is held in memory at a time and there is no cap on the total number of records,
+ * so callers should process each page before asking for the next:
+ *   for await (const page of iterateRecords(config)) { ... }
+ *
+ * Pagination modes:
+ * - 'offset' (default): pages with offset/next_offset in the requested order. Records modified
+ *   while the run pages through the result shift the offsets, so rows can be skipped or repeated.
+ * - 'keyset': orders by date_modified, id ascending (orderBy/orderDirection are ignored) and
+ *   requests each page with a filter for records after the last one seen (see createKeysetFilter).
+ *   A record modified mid-run moves to the end of the result instead of shifting the pages.
+ * @param {Object} config - Configuration object (same as sugarCRMPost, including signal)
+ * @param {number} config.limit - Stop after this many records (optional)
+ * @param {string} config.pagination - 'offset' or 'keyset' (default: 'offset')
+ * @param {Object} config.startAfter - Keyset mode: cursor { date_modified, id } to resume after (optional)
+ * @yields {Object} Page: { records, number, offset, cursor, total_fetched, has_more, response }
+ */
+export async function* iterateRecords(config) {
+    const { limit = null, pagination = 'offset', startAfter = null, ...pageConfig } = config;
+    const keyset = pagination === 'keyset';
+    const baseFilters = pageConfig.filters || [];
+    let offset = pageConfig.offset || 0;
+    let cursor = startAfter;
     let hasMore = true;
     let totalFetched = 0;
+    let pageNumber = 0;
     
-    const pageConfig = { ...config };
+    if (!['offset', 'keyset'].includes(pagination)) {
+        throw new ConfigurationError(`Unknown pagination mode '${pagination}' (expected 'offset' or 'keyset')`);
+    }
+    
+    if (keyset) {
+        // The cursor is built from the last record of each page
+        const fields = Array.isArray(pageConfig.fields) ? pageConfig.fields : (pageConfig.fields || '').split(',');
+        pageConfig.fields = [...new Set([...fields.filter(Boolean), 'id', 'date_modified'])];
+        pageConfig.orderBy = 'date_modified:asc,id:asc';
+        pageConfig.orderDirection = 'asc';
+        offset = 0;
+    }
+    
+    // Don't request bigger pages than the limit needs
+    if (limit) {
+        pageConfig.maxResults = Math.min(pageConfig.maxResults || 20, limit);
+    }
     
     while (hasMore) {
+        // Stop before requesting the next page if the run was cancelled or asked to stop
+        (pageConfig.signal || getRunSignal())?.throwIfAborted();
+        throwIfStopRequested();
         pageConfig.offset = offset;
+        if (keyset) {
+            pageConfig.filters = cursor ? [...baseFilters, createKeysetFilter(cursor)] : baseFilters;
+        }
         
+        let response;
         try {
-            const response = await sugarCRMPost(pageConfig);
-            const records = response.data.records;
-            
-            allRecords = allRecords.concat(records);
-            totalFetched += records.length;
-            hasMore = response.data.has_more;
-            offset = response.data.next_offset;
-            
-            // Call the page callback if provided
-            if (onPage && typeof onPage === 'function') {
-                await onPage(records, response);
-            }
-            
-            // Prevent infinite loops
-            if (totalFetched > 10000) {
-                console.warn('⚠️  Fetched more than 10,000 records, stopping pagination');
-                break;
-            }
-            
+            response = await sugarCRMPost(pageConfig);
         } catch (error) {
-            console.error(`❌ Error fetching page at offset ${offset}:`, error.message);
+            const position = keyset ? `after ${cursor ? `${cursor.date_modified}/${cursor.id}` : 'start'}` : `at offset ${offset}`;
+            console.error(`❌ Error fetching page ${position}:`, error.message);
             throw error;
         }
+        
+        let records = response.data.records || [];
+        if (limit && totalFetched + records.length >= limit) {
+            records = records.slice(0, limit - totalFetched);
+            hasMore = false;
+        } else if (keyset) {
+            hasMore = records.length > 0 && Boolean(response.data.has_more);
+        } else {
+            hasMore = Boolean(response.data.has_more) && response.data.next_offset > offset;
+        }
+        
+        if (keyset && records.length > 0) {
+            const last = records[records.length - 1];
+            if (!last.date_modified || !last.id) {
+                throw new Error(`Keyset pagination needs id and date_modified on every ${pageConfig.module} record`);
+            }
+            cursor = { date_modified: last.date_modified, id: last.id };
+        }
+        
+        totalFetched += records.length;
+        pageNumber++;
+        
+        yield {
+            records,
+            number: pageNumber,
+            offset,
+            cursor,
+            total_fetched: totalFetched,
+            has_more: hasMore,
+            response
+        };
+        
+        if (!keyset) {
+            offset = response.data.next_offset;
+        }
+    }
+}
+
+/**
+ * Fetch records from SugarCRM with pagination support
+ * Collects every record in memory - use iterateRecords for large result sets.
+ * @param {Object} config - Configuration object (same as sugarCRMPost, including signal)
+ * @param {number} config.limit - Stop after this many records (optional)
+ * @param {Function} onPage - Callback function called for each page of results
+ * @returns {Promise<Object>} Summary of all fetched records
+ */
+export async function fetchAllRecords(config, onPage = null) {
+    const allRecords = [];
+    let totalFetched = 0;
+    
+    for await (const page of iterateRecords(config)) {
+        allRecords.push(...page.records);
+        totalFetched = page.total_fetched;
+        
+        // Call the page callback if provided
+        if (onPage && typeof onPage === 'function') {
+            await onPage(page.records, page.response);
+        }
     }
     
     return {
@@ -228,7 +462,6 @@ export async function fetchAllRecords(config, onPage = null) {
     };
 }
 
-
 /**
  * Get default fields for a SugarCRM module
  * @param {string} module - Module name
@@ -254,18 +487,18 @@ export function getDefaultFields(module) {
  * @param {number} options.offset - Offset for pagination (default: 0)
  * @param {string} options.orderBy - Field to order by (default: 'date_modified')
  * @param {string} options.orderDirection - Order direction: 'asc' or 'desc' (default: 'desc')
+ * @param {AbortSignal} options.signal - Aborts the request (default: signal of the current task run)
  * @returns {Promise<Object>} Relationship data response
  */
 export async function fetchRelationshipData(module, recordId, linkName, options = {}) {
+    const { signal = getRunSignal() } = options;
+
     try {
         // Validate required parameters
         if (!module || !recordId || !linkName) {
             throw new Error('Module, recordId, and linkName are required parameters');
         }
 
-        // Get authentication token
-        const token = await authenticateSugarCRM();
-        
         // Set default options
         const {
             fields = ['id', 'name', 'date_modified'],
@@ -279,7 +512,7 @@ export async function fetchRelationshipData(module, recordId, linkName, options
         // Construct the URL
         const apiUrl = process.env.SUGARCRM_API_URL;
         if (!apiUrl) {
-            throw new Error('SUGARCRM_API_URL environment variable is required');
+            throw new ConfigurationError('SUGARCRM_API_URL environment variable is required');
         }
 
         const url = `${apiUrl}/${module}/${recordId}/link/${linkName}`;
@@ -331,15 +564,15 @@ export async function fetchRelationshipData(module, recordId, linkName, options
         }
         console.log(`📄 URL: ${fullUrl}`);
 
-        // Make the API request
-        const response = await fetch(fullUrl, {
+        // Make the API request (authenticated with the cached OAuth token)
+        const response = await fetchWithSugarCRMToken(fullUrl, token => ({
             method: 'GET',
             headers: {
                 'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             }
-        });
+        }), signal, 'sugarcrm-relationship', 'sugarcrm-link');
 
         if (!response.ok) {
             const errorText = await response.text();
@@ -369,52 +602,77 @@ export async function fetchRelationshipData(module, recordId, linkName, options
 }
 
 /**
- * Fetch all relationship records with pagination
+ * Stream relationship records page by page
+ * Only one page is held in memory at a time and there is no cap on the total number of records.
  * @param {string} module - Module name
  * @param {string} recordId - Record ID
  * @param {string} linkName - Link/relationship name
- * @param {Object} options - Additional options
- * @param {Function} onPage - Callback function called for each page of results
- * @returns {Promise<Object>} All relationship records
+ * @param {Object} options - Additional options (same as fetchRelationshipData, including signal)
+ * @yields {Object} Page: { records, number, offset, total_fetched, has_more, response }
  */
-export async function fetchAllRelationshipRecords(module, recordId, linkName, options = {}, onPage = null) {
-    const allRecords = [];
-    let totalFetched = 0;
+export async function* iterateRelationshipRecords(module, recordId, linkName, options = {}) {
+    const maxResults = options.maxResults || 20;
     let offset = 0;
     let hasMore = true;
-    const maxResults = options.maxResults || 20;
+    let totalFetched = 0;
+    let pageNumber = 0;
 
     while (hasMore) {
+        (options.signal || getRunSignal())?.throwIfAborted();
+        throwIfStopRequested();
+
+        let response;
         try {
-            const config = {
+            response = await fetchRelationshipData(module, recordId, linkName, {
                 ...options,
                 maxResults: maxResults,
                 offset: offset
-            };
-
-            const response = await fetchRelationshipData(module, recordId, linkName, config);
-            const records = response.data.records || [];
-            
-            allRecords.push(...records);
-            totalFetched += records.length;
-            hasMore = records.length === maxResults;
-            offset += maxResults;
-            
-            // Call the page callback if provided
-            if (onPage && typeof onPage === 'function') {
-                await onPage(records, response);
-            }
-            
-            // Prevent infinite loops
-            if (totalFetched > 10000) {
-                console.warn('⚠️  Fetched more than 10,000 relationship records, stopping pagination');
-                break;
-            }
-            
+            });
         } catch (error) {
             console.error(`❌ Error fetching relationship page at offset ${offset}:`, error.message);
             throw error;
         }
+
+        const records = response.data.records || [];
+        totalFetched += records.length;
+        hasMore = records.length === maxResults;
+        pageNumber++;
+
+        yield {
+            records,
+            number: pageNumber,
+            offset,
+            total_fetched: totalFetched,
+            has_more: hasMore,
+            response
+        };
+
+        offset += maxResults;
+    }
+}
+
+/**
+ * Fetch all relationship records with pagination
+ * Collects every record in memory - use iterateRelationshipRecords for large result sets.
+ * @param {string} module - Module name
+ * @param {string} recordId - Record ID
+ * @param {string} linkName - Link/relationship name
+ * @param {Object} options - Additional options
+ * @param {Function} onPage - Callback function called for each page of results
+ * @returns {Promise<Object>} All relationship records
+ */
+export async function fetchAllRelationshipRecords(module, recordId, linkName, options = {}, onPage = null) {
+    const allRecords = [];
+    let totalFetched = 0;
+
+    for await (const page of iterateRelationshipRecords(module, recordId, linkName, options)) {
+        allRecords.push(...page.records);
+        totalFetched = page.total_fetched;
+
+        // Call the page callback if provided
+        if (onPage && typeof onPage === 'function') {
+            await onPage(page.records, page.response);
+        }
     }
     
     return {
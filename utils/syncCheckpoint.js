@@ -0,0 +1,106 @@
+/**
+ * Sync Checkpoint Utility
+ * Tracks which fetched records have been delivered to the portal, so that a run that
+ * stops part-way can still move the watermark past everything it fully delivered
+ */
+
+import { updateSyncRecord } from './syncTracker.js';
+import { compareRecordPosition, buildWatermarkUpdate } from './syncWatermark.js';
+
+/**
+ * Create a checkpoint tracker for one sync run
+ * @returns {Object} Tracker: { addFetched(records), markDelivered(records), getCheckpoint() }
+ */
+export function createSyncCheckpoint() {
+    const fetched = new Map(); // sugar id -> date_modified
+    const delivered = new Set();
+
+    return {
+        /**
+         * Record SugarCRM records fetched by the run
+         * @param {Array} records - SugarCRM records (id, date_modified)
+         */
+        addFetched(records) {
+            records.forEach(record => fetched.set(record.id, record.date_modified));
+        },
+
+        /**
+         * Record SugarCRM records whose batch the portal accepted
+         * @param {Array} records - SugarCRM records (id)
+         */
+        markDelivered(records) {
+            records.forEach(record => delivered.add(record.id));
+        },
+
+        /**
+         * Get the newest record (by date_modified, then id) up to which every fetched record was delivered
+         * After a complete run this is the newest record fetched; after a partial one it stops
+         * before the oldest record that was not delivered.
+         * @returns {Object|null} { date_modified, id }, or null if nothing was delivered
+         */
+        getCheckpoint() {
+            const ordered = [...fetched.entries()]
+                .filter(([, dateModified]) => dateModified)
+                .map(([id, dateModified]) => ({ id, date_modified: dateModified }))
+                .sort(compareRecordPosition);
+
+            let checkpoint = null;
+            for (const position of ordered) {
+                if (!delivered.has(position.id)) {
+                    break;
+                }
+                checkpoint = position;
+            }
+            return checkpoint;
+        }
+    };
+}
+
+/**
+ * Build the watermark fields to save at the end of a run
+ * The watermark moves to the newest delivered record (see getCheckpoint) - never to the wall clock.
+ * @param {Object} checkpoint - Tracker from createSyncCheckpoint()
+ * @param {Object} details - Run details
+ * @param {boolean} details.advanceWatermark - False for partial runs (see shouldAdvanceWatermark)
+ * @param {Object|null} details.syncRecord - Sync record the run started from
+ * @returns {Object} { last_sync_at, last_sync_id }, both undefined to keep the current watermark
+ */
+export function getCheckpointWatermark(checkpoint, { advanceWatermark, syncRecord }) {
+    if (!advanceWatermark) {
+        return { last_sync_at: undefined, last_sync_id: undefined };
+    }
+    return buildWatermarkUpdate(checkpoint.getCheckpoint(), syncRecord);
+}
+
+/**
+ * Mark a module's sync record as interrupted and save the run's partial checkpoint
+ * @param {string} moduleName - Sync tracker module name
+ * @param {Object} checkpoint - Tracker from createSyncCheckpoint()
+ * @param {Object} details - Run details
+ * @param {Error} details.error - The TaskInterruptedError that stopped the run
+ * @param {boolean} details.advanceWatermark - False for partial runs (see shouldAdvanceWatermark)
+ * @param {Object|null} details.syncRecord - Sync record the run started from
+ * @returns {Promise<Object>} Updated sync record
+ */
+export async function markSyncInterrupted(moduleName, checkpoint, { error, advanceWatermark, syncRecord }) {
+    const checkpointPosition = checkpoint.getCheckpoint();
+    const watermark = getCheckpointWatermark(checkpoint, { advanceWatermark, syncRecord });
+
+    const record = await updateSyncRecord(moduleName, {
+        status: 'interrupted',
+        ...watermark,
+        metadata: {
+            error_message: error.message,
+            failure_reason: 'interrupted',
+            signal: error.signal,
+            interrupted_at: new Date().toISOString(),
+            checkpoint: checkpointPosition
+        }
+    });
+
+    console.log(watermark.last_sync_at
+        ? `💾 Sync record marked interrupted - watermark moved to checkpoint ${watermark.last_sync_at} (${watermark.last_sync_id})`
+        : '💾 Sync record marked interrupted - watermark unchanged');
+
+    return record;
+}
@@ -0,0 +1,133 @@
+/**
+ * Sync Options Utility
+ * Applies command line task options (--since, --until, --date-field, --ids, --limit, --no-watermark, --pagination) to sync tasks
+ * (--dry-run is handled by the tasks themselves, see utils/dryRun.js)
+ */
+
+/**
+ * Build the SugarCRM filters that select which records a sync run fetches
+ * --since overrides the stored watermark; --until and --ids narrow the selection.
+ * With --ids and no --since, the watermark is ignored so the records are fetched regardless of age.
+ * --date-field moves --since/--until to date_entered; the stored watermark always filters date_modified.
+ * @param {Object|string|null} startPoint - Where the run starts (see getSyncStartPoint in utils/syncWatermark.js),
+ *   or just a date to fetch records modified on/after
+ * @param {Object} options - Task options
+ * @param {string} options.since - Fetch records modified on/after this date
+ * @param {string} options.until - Fetch records modified on/before this date
+ * @param {string} options.dateField - Field --since/--until apply to (default: date_modified)
+ * @param {Array<string>} options.ids - Fetch only these SugarCRM record IDs
+ * @returns {Object} { filters: Array, sinceDate: string|null, startAfter: Object|null }
+ *   startAfter is the keyset cursor of the watermark record (iterateRecords config.startAfter)
+ */
+export function buildSyncFilters(startPoint, options = {}) {
+    const { since, until, ids, dateField = 'date_modified' } = options;
+    const filters = [];
+    const watermark = startPoint && typeof startPoint === 'object' ? startPoint : { sinceDate: startPoint };
+
+    let sinceDate = watermark.sinceDate || null;
+    let startAfter = watermark.startAfter || null;
+    if (since) {
+        sinceDate = since;
+        startAfter = null;
+        console.log(`  🔍 Using --since override: ${since}`);
+    } else if (ids && ids.length > 0) {
+        sinceDate = null;
+        startAfter = null;
+        console.log('  🔍 --ids given - ignoring last sync date');
+    }
+
+    if (sinceDate) {
+        const sinceField = since ? dateField : 'date_modified';
+        filters.push({
+            [sinceField]: {
+                $gte: sinceDate
+            }
+        });
+        console.log(`  🔍 Filter: ${sinceField} >= ${new Date(sinceDate).toLocaleString()}`);
+    } else {
+        console.log(`  🔍 No date filter - fetching all records`);
+    }
+
+    if (until) {
+        filters.push({
+            [dateField]: {
+                $lte: until
+            }
+        });
+        console.log(`  🔍 Filter: ${dateField} <= ${new Date(until).toLocaleString()}`);
+    }
+
+    if (ids && ids.length > 0) {
+        filters.push({
+            id: {
+                $in: ids
+            }
+        });
+        console.log(`  🔍 Filter: id in [${ids.join(', ')}]`);
+    }
+
+    if (startAfter) {
+        console.log(`  🔍 Resuming after record ${startAfter.id} (${startAfter.date_modified})`);
+    }
+
+    return { filters, sinceDate, startAfter };
+}
+
+/**
+ * Decide whether a run may advance the module's last_sync_at watermark
+ * Runs that only fetched part of the changed records must not move it, or the records they
+ * skipped would never be synced: --until, --ids, --limit, a --since later than the watermark
+ * (records modified in between were not fetched) and --date-field other than date_modified
+ * (the watermark is a date_modified position).
+ * @param {Object} options - Task options
+ * @param {Object|null} syncRecord - Sync record the run started from (last_sync_at)
+ * @returns {boolean} True if last_sync_at should be updated
+ */
+export function shouldAdvanceWatermark(options = {}, syncRecord = null) {
+    const reasons = [];
+    const watermark = syncRecord?.last_sync_at ? new Date(syncRecord.last_sync_at) : null;
+
+    if (options.noWatermark) reasons.push('--no-watermark');
+    if (options.until) reasons.push('--until');
+    if (options.ids && options.ids.length > 0) reasons.push('--ids');
+    if (options.limit) reasons.push('--limit');
+    if (options.since && (!watermark || new Date(options.since) > watermark)) reasons.push('--since after the watermark');
+    if (options.dateField && options.dateField !== 'date_modified') reasons.push(`--date-field ${options.dateField}`);
+
+    if (reasons.length > 0) {
+        console.log(`  📌 Watermark will not be advanced (${reasons.join(', ')})`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether a run is a regular incremental run: it syncs from the watermark with no
+ * date range, id list, limit or dry run. Backfill windows are not (they set --since/--until).
+ * @param {Object} options - Task options
+ * @returns {boolean} True for a regular incremental run
+ */
+export function isIncrementalRun(options = {}) {
+    return !options.since &&
+        !options.until &&
+        !(options.ids && options.ids.length > 0) &&
+        !options.limit &&
+        !options.noWatermark &&
+        !options.dryRun;
+}
+
+/**
+ * Pick how a sync run pages through SugarCRM records
+ * Keyset pagination (date_modified, id ascending) is the default: offsets shift when records are
+ * modified during the run, which skips or repeats rows. --pagination offset restores the old behaviour.
+ * @param {Object} options - Task options
+ * @returns {string} 'keyset' or 'offset' (see iterateRecords in utils/sugarCRM.js)
+ */
+export function getPaginationMode(options = {}) {
+    const mode = options.pagination || 'keyset';
+    if (mode !== 'keyset') {
+        console.log(`  📑 Pagination: ${mode}`);
+    }
+    return mode;
+}
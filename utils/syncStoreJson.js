@@ -0,0 +1,304 @@
+/**
+ * JSON Sync Store
+ * Keeps the sync records in data/integration_last_sync.json (for dev machines without a database)
+ * Writes go to a temp file that is renamed over the data file, under an advisory lock file held
+ * across load/modify/save. The previous versions are kept as rolling .bak.N files and used to
+ * recover when the data file cannot be parsed.
+ */
+
+import { readFile, open, rename, copyFile, unlink, access } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tryAcquireFileLock } from './fileLock.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SYNC_DATA_FILE = join(__dirname, '..', 'data', 'integration_last_sync.json');
+const SYNC_LOCK_FILE = `${SYNC_DATA_FILE}.lock`;
+
+// Number of .bak generations kept next to the data file
+const BACKUP_GENERATIONS = Number.isInteger(parseInt(process.env.SYNC_FILE_BACKUPS))
+    ? Math.max(0, parseInt(process.env.SYNC_FILE_BACKUPS))
+    : 3;
+
+// The lock is only held for a load/modify/save cycle, so waiting long means something is wrong
+const LOCK_WAIT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 60000;
+
+/**
+ * Get the path of a backup generation (1 is the newest)
+ * @param {string} filePath - Sync data file
+ * @param {number} generation - Backup generation
+ * @returns {string} Backup file path
+ */
+function getBackupPath(filePath, generation) {
+    return `${filePath}.bak.${generation}`;
+}
+
+/**
+ * Read and parse a sync data file
+ * @param {string} filePath - Sync data file
+ * @returns {Promise<Object>} The sync data object
+ * @throws {SyntaxError} If the file is not valid sync data
+ */
+async function readSyncFile(filePath) {
+    const syncData = JSON.parse(await readFile(filePath, 'utf8'));
+
+    if (!syncData || !Array.isArray(syncData.sync_records)) {
+        throw new SyntaxError('sync_records is missing');
+    }
+    return syncData;
+}
+
+/**
+ * Load the newest backup that parses, after the data file failed to parse
+ * @param {string} filePath - Sync data file
+ * @param {Error} parseError - Why the data file could not be read
+ * @param {boolean} quarantine - Move the corrupt file aside (only while holding the lock)
+ * @returns {Promise<Object>} The sync data of the backup
+ * @throws {Error} If no backup can be read
+ */
+async function recoverSyncData(filePath, parseError, quarantine) {
+    for (let generation = 1; generation <= BACKUP_GENERATIONS; generation++) {
+        const backupPath = getBackupPath(filePath, generation);
+        let syncData;
+        try {
+            syncData = await readSyncFile(backupPath);
+        } catch (error) {
+            continue;
+        }
+
+        console.log(`⚠️  ${filePath} is corrupt (${parseError.message}) - using backup ${backupPath}`);
+        await Logger.warn('Recovered sync data from backup', {
+            file: filePath,
+            backup: backupPath,
+            error: parseError.message
+        });
+
+        // Keep the corrupt file for inspection, and out of the backup rotation
+        if (quarantine) {
+            const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            await rename(filePath, corruptPath).catch(() => {});
+            console.log(`  📦 Corrupt sync file moved to ${corruptPath}`);
+        }
+        return syncData;
+    }
+
+    throw new Error(`Failed to load sync data: ${filePath} is corrupt (${parseError.message}) and no backup could be read`);
+}
+
+/**
+ * Load sync data from a JSON file
+ * Falls back to the newest readable backup if the file cannot be parsed.
+ * @param {string} filePath - Sync data file (default: data/integration_last_sync.json)
+ * @param {Object} options - Load options
+ * @param {boolean} options.quarantine - Move a corrupt file aside (only while holding the lock)
+ * @returns {Promise<Object>} The sync data object
+ */
+export async function loadSyncData(filePath = SYNC_DATA_FILE, { quarantine = false } = {}) {
+    try {
+        return await readSyncFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // File doesn't exist, return default structure
+            return {
+                sync_records: [],
+                metadata: {
+                    created_at: new Date().toISOString(),
+                    version: "1.0.0",
+                    description: "Integration sync tracking for NCDEX scheduler utility"
+                }
+            };
+        }
+        if (error instanceof SyntaxError) {
+            return await recoverSyncData(filePath, error, quarantine);
+        }
+        throw new Error(`Failed to load sync data: ${error.message}`);
+    }
+}
+
+/**
+ * Shift the backup generations and copy the current data file to .bak.1
+ * Nothing is rotated when there is no data file (first save, or after a corrupt file was moved aside).
+ */
+async function rotateBackups() {
+    if (BACKUP_GENERATIONS === 0) {
+        return;
+    }
+
+    try {
+        await access(SYNC_DATA_FILE);
+    } catch {
+        return;
+    }
+
+    for (let generation = BACKUP_GENERATIONS - 1; generation >= 1; generation--) {
+        await rename(getBackupPath(SYNC_DATA_FILE, generation), getBackupPath(SYNC_DATA_FILE, generation + 1))
+            .catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+    }
+
+    await copyFile(SYNC_DATA_FILE, getBackupPath(SYNC_DATA_FILE, 1));
+}
+
+/**
+ * Save sync data to the JSON file
+ * The data is written and flushed to a temp file that is then renamed over the data file,
+ * so a crash leaves either the old or the new version - never a partial file.
+ * @param {Object} syncData - The sync data object to save
+ */
+async function saveSyncData(syncData) {
+    const tempPath = `${SYNC_DATA_FILE}.${process.pid}.tmp`;
+
+    try {
+        const handle = await open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(syncData, null, 2), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await rotateBackups();
+        await rename(tempPath, SYNC_DATA_FILE);
+    } catch (error) {
+        await unlink(tempPath).catch(() => {});
+        throw new Error(`Failed to save sync data: ${error.message}`);
+    }
+}
+
+/**
+ * Load, modify and save the sync data while holding the sync file lock
+ * Other processes (and other runs in this process) wait until the lock is released.
+ * @param {Function} modify - Receives the sync data, changes it in place and returns a result
+ * @returns {Promise<*>} Return value of modify
+ * @throws {Error} If the lock cannot be acquired within LOCK_WAIT_MS, or modify throws (nothing is saved)
+ */
+async function updateSyncData(modify) {
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    let lock;
+
+    while (!(lock = await tryAcquireFileLock(SYNC_LOCK_FILE, { staleMs: LOCK_STALE_MS, details: { purpose: 'sync tracker' } }))) {
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for the sync file lock ${SYNC_LOCK_FILE}`);
+        }
+        await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+        const syncData = await loadSyncData(SYNC_DATA_FILE, { quarantine: true });
+        const result = modify(syncData);
+        await saveSyncData(syncData);
+        return result;
+    } finally {
+        await lock.release();
+    }
+}
+
+/**
+ * Find the index of a record by module name or integration name
+ * @param {Array} records - Sync records
+ * @param {string} identifier - Module name or integration name
+ * @returns {number} Index, or -1 if not found
+ */
+function findRecordIndex(records, identifier) {
+    return records.findIndex(record =>
+        record.module_name === identifier ||
+        record.integration_name === identifier
+    );
+}
+
+/**
+ * Get a sync record by module name or integration name
+ * @param {string} identifier - Module name or integration name
+ * @returns {Promise<Object|null>} The sync record or null if not found
+ */
+export async function findSyncRecord(identifier) {
+    const syncData = await loadSyncData();
+    return syncData.sync_records[findRecordIndex(syncData.sync_records, identifier)] || null;
+}
+
+/**
+ * Get all sync records
+ * @returns {Promise<Array>} Array of all sync records
+ */
+export async function listSyncRecords() {
+    const syncData = await loadSyncData();
+    return syncData.sync_records;
+}
+
+/**
+ * Add a sync record
+ * @param {Object} record - Complete sync record
+ * @returns {Promise<Object>} The stored record
+ * @throws {Error} If a record with the same module or integration name exists
+ */
+export async function insertSyncRecord(record) {
+    return await updateSyncData(syncData => {
+        const exists = syncData.sync_records.some(existing =>
+            existing.module_name === record.module_name ||
+            existing.integration_name === record.integration_name
+        );
+
+        if (exists) {
+            throw new Error(`Sync record already exists for module: ${record.module_name} or integration: ${record.integration_name}`);
+        }
+
+        syncData.sync_records.push(record);
+        return record;
+    });
+}
+
+/**
+ * Replace a sync record with an updated copy
+ * @param {string} identifier - Module name or integration name
+ * @param {Function} update - Receives the current record and returns the new one
+ * @returns {Promise<Object>} The stored record
+ * @throws {Error} If the record does not exist
+ */
+export async function modifySyncRecord(identifier, update) {
+    return await updateSyncData(syncData => {
+        const recordIndex = findRecordIndex(syncData.sync_records, identifier);
+
+        if (recordIndex === -1) {
+            throw new Error(`Sync record not found for identifier: ${identifier}`);
+        }
+
+        syncData.sync_records[recordIndex] = update(syncData.sync_records[recordIndex]);
+        return syncData.sync_records[recordIndex];
+    });
+}
+
+/**
+ * Replace every sync record with an updated copy
+ * @param {Function} update - Receives a record and returns the new one
+ */
+export async function modifyAllSyncRecords(update) {
+    await updateSyncData(syncData => {
+        syncData.sync_records = syncData.sync_records.map(update);
+    });
+}
+
+/**
+ * Delete a sync record
+ * @param {string} identifier - Module name or integration name
+ * @throws {Error} If the record does not exist
+ */
+export async function removeSyncRecord(identifier) {
+    await updateSyncData(syncData => {
+        const recordIndex = findRecordIndex(syncData.sync_records, identifier);
+
+        if (recordIndex === -1) {
+            throw new Error(`Sync record not found for identifier: ${identifier}`);
+        }
+
+        syncData.sync_records.splice(recordIndex, 1);
+    });
+}
@@ -0,0 +1,303 @@
+/**
+ * Postgres Sync Store
+ * Keeps the sync records in the integration_sync_state PostgreSQL table, one row per module.
+ * Updates lock the row (SELECT ... FOR UPDATE) inside a transaction, so runs on several hosts
+ * sharing the database cannot overwrite each other's changes.
+ */
+
+import { query, withClient } from './database.js';
+import Logger from './logger.js';
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS integration_sync_state (
+        module_name VARCHAR(255) PRIMARY KEY,
+        integration_name VARCHAR(255) NOT NULL UNIQUE,
+        direction VARCHAR(32),
+        endpoint TEXT,
+        last_sync_at TIMESTAMPTZ,
+        last_sync_id VARCHAR(255),
+        status VARCHAR(32) NOT NULL DEFAULT 'pending',
+        metadata JSONB,
+        history JSONB,
+        started_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+    // Tables created before run history and run states were kept
+    'ALTER TABLE integration_sync_state ADD COLUMN IF NOT EXISTS history JSONB',
+    'ALTER TABLE integration_sync_state ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ'
+];
+
+// Postgres error code for unique constraint violations
+const UNIQUE_VIOLATION = '23505';
+
+let schemaReady = null;
+
+/**
+ * Create the integration_sync_state table if it does not exist
+ * Runs once per process, and warns if the table is empty (sync state not imported yet).
+ * @returns {Promise<boolean>} True if the schema is in place
+ */
+async function ensureSyncStateSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            for (const statement of SCHEMA_STATEMENTS) {
+                const result = await query(statement);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            const count = await query('SELECT COUNT(*)::int AS total FROM integration_sync_state');
+            if (count.success && count.rows[0].total === 0) {
+                console.log('⚠️  integration_sync_state is empty - import the JSON sync records with: node index.js sync-import');
+                await Logger.warn('Sync state table is empty', { table: 'integration_sync_state' });
+            }
+            return true;
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Run a callback in a transaction on a dedicated client
+ * @param {Function} callback - Receives the client
+ * @returns {Promise<*>} Return value of the callback
+ * @throws {Error} The callback's error (the transaction is rolled back)
+ */
+async function inTransaction(callback) {
+    await ensureSyncStateSchema();
+
+    let failure = null;
+    const outcome = await withClient(async client => {
+        await client.query('BEGIN');
+        try {
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            failure = error;
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    });
+
+    if (!outcome.success) {
+        throw failure || new Error(outcome.error);
+    }
+    return outcome.result;
+}
+
+/**
+ * Format a timestamp column as an ISO string
+ * @param {Date|string|null} value - Column value
+ * @returns {string|null} ISO timestamp
+ */
+function toISOString(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Convert a table row to a sync record (same shape as the JSON store)
+ * @param {Object} row - integration_sync_state row
+ * @returns {Object} Sync record
+ */
+function rowToRecord(row) {
+    const record = {
+        module_name: row.module_name,
+        integration_name: row.integration_name,
+        direction: row.direction,
+        endpoint: row.endpoint,
+        last_sync_at: toISOString(row.last_sync_at),
+        last_sync_id: row.last_sync_id,
+        updated_at: toISOString(row.updated_at),
+        status: row.status
+    };
+    if (row.metadata) {
+        record.metadata = row.metadata;
+    }
+    if (row.history) {
+        record.history = row.history;
+    }
+    if (row.started_at) {
+        record.started_at = toISOString(row.started_at);
+    }
+    return record;
+}
+
+/**
+ * Get the column values of a sync record, in the order used by the INSERT/UPDATE statements
+ * @param {Object} record - Sync record
+ * @returns {Array} [module_name, integration_name, direction, endpoint, last_sync_at, last_sync_id, status, metadata, history, started_at, updated_at]
+ */
+function recordToParams(record) {
+    return [
+        record.module_name,
+        record.integration_name,
+        record.direction || null,
+        record.endpoint || null,
+        record.last_sync_at || null,
+        record.last_sync_id || null,
+        record.status || 'pending',
+        record.metadata ? JSON.stringify(record.metadata) : null,
+        record.history ? JSON.stringify(record.history) : null,
+        record.started_at || null,
+        record.updated_at || new Date().toISOString()
+    ];
+}
+
+/**
+ * Lock and read the row of a module
+ * @param {Object} client - Client inside a transaction
+ * @param {string} identifier - Module name or integration name
+ * @returns {Promise<Object|null>} Row, or null if not found
+ */
+async function selectRowForUpdate(client, identifier) {
+    const result = await client.query(
+        'SELECT * FROM integration_sync_state WHERE module_name = $1 OR integration_name = $1 ORDER BY module_name = $1 DESC LIMIT 1 FOR UPDATE',
+        [identifier]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Write a sync record over the row of a module
+ * @param {Object} client - Client inside a transaction
+ * @param {string} moduleName - Current module name of the row
+ * @param {Object} record - New sync record
+ */
+async function updateRow(client, moduleName, record) {
+    await client.query(`
+        UPDATE integration_sync_state SET
+            module_name = $1,
+            integration_name = $2,
+            direction = $3,
+            endpoint = $4,
+            last_sync_at = $5,
+            last_sync_id = $6,
+            status = $7,
+            metadata = $8,
+            history = $9,
+            started_at = $10,
+            updated_at = $11
+        WHERE module_name = $12
+    `, [...recordToParams(record), moduleName]);
+}
+
+/**
+ * Get a sync record by module name or integration name
+ * @param {string} identifier - Module name or integration name
+ * @returns {Promise<Object|null>} The sync record or null if not found
+ */
+export async function findSyncRecord(identifier) {
+    await ensureSyncStateSchema();
+
+    const result = await query(
+        'SELECT * FROM integration_sync_state WHERE module_name = $1 OR integration_name = $1 ORDER BY module_name = $1 DESC LIMIT 1',
+        [identifier]
+    );
+    if (!result.success) {
+        throw new Error(`Failed to load sync record: ${result.error}`);
+    }
+    return result.rows[0] ? rowToRecord(result.rows[0]) : null;
+}
+
+/**
+ * Get all sync records
+ * @returns {Promise<Array>} Array of all sync records
+ */
+export async function listSyncRecords() {
+    await ensureSyncStateSchema();
+
+    const result = await query('SELECT * FROM integration_sync_state ORDER BY created_at, module_name');
+    if (!result.success) {
+        throw new Error(`Failed to load sync records: ${result.error}`);
+    }
+    return result.rows.map(rowToRecord);
+}
+
+/**
+ * Add a sync record
+ * @param {Object} record - Complete sync record
+ * @returns {Promise<Object>} The stored record
+ * @throws {Error} If a record with the same module or integration name exists
+ */
+export async function insertSyncRecord(record) {
+    await ensureSyncStateSchema();
+
+    const result = await query(`
+        INSERT INTO integration_sync_state (
+            module_name, integration_name, direction, endpoint,
+            last_sync_at, last_sync_id, status, metadata, history, started_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+    `, recordToParams(record));
+
+    if (!result.success) {
+        throw new Error(`Failed to create sync record: ${result.error}`);
+    }
+    if (result.rowCount === 0) {
+        throw new Error(`Sync record already exists for module: ${record.module_name} or integration: ${record.integration_name}`);
+    }
+    return rowToRecord(result.rows[0]);
+}
+
+/**
+ * Replace a sync record with an updated copy
+ * The row stays locked from the read until the transaction commits.
+ * @param {string} identifier - Module name or integration name
+ * @param {Function} update - Receives the current record and returns the new one
+ * @returns {Promise<Object>} The stored record
+ * @throws {Error} If the record does not exist
+ */
+export async function modifySyncRecord(identifier, update) {
+    return await inTransaction(async client => {
+        const row = await selectRowForUpdate(client, identifier);
+        if (!row) {
+            throw new Error(`Sync record not found for identifier: ${identifier}`);
+        }
+
+        const record = update(rowToRecord(row));
+        try {
+            await updateRow(client, row.module_name, record);
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                throw new Error(`Sync record already exists for module: ${record.module_name} or integration: ${record.integration_name}`);
+            }
+            throw error;
+        }
+        return record;
+    });
+}
+
+/**
+ * Replace every sync record with an updated copy (in one transaction)
+ * @param {Function} update - Receives a record and returns the new one
+ */
+export async function modifyAllSyncRecords(update) {
+    await inTransaction(async client => {
+        const result = await client.query('SELECT * FROM integration_sync_state ORDER BY module_name FOR UPDATE');
+        for (const row of result.rows) {
+            await updateRow(client, row.module_name, update(rowToRecord(row)));
+        }
+    });
+}
+
+/**
+ * Delete a sync record
+ * @param {string} identifier - Module name or integration name
+ * @throws {Error} If the record does not exist
+ */
+export async function removeSyncRecord(identifier) {
+    await inTransaction(async client => {
+        const row = await selectRowForUpdate(client, identifier);
+        if (!row) {
+            throw new Error(`Sync record not found for identifier: ${identifier}`);
+        }
+        await client.query('DELETE FROM integration_sync_state WHERE module_name = $1', [row.module_name]);
+    });
+}
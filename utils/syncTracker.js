@@ -1,51 +1,158 @@
 /**
  * Sync Tracker Utility
  * Manages integration sync tracking data
+ * Records live in the integration_sync_state PostgreSQL table, or in
+ * data/integration_last_sync.json on machines without a database (see getSyncBackendName).
  */
 
-import { readFile, writeFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { access } from 'fs/promises';
+import { isDatabaseConfigured } from './database.js';
+import { ConfigurationError } from './errors.js';
+import * as jsonSyncStore from './syncStoreJson.js';
+import * as postgresSyncStore from './syncStorePostgres.js';
+import Logger from './logger.js';
+import { getRunContext } from './runContext.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * Sync run states. A run moves a record pending/finished → running → success | partial | failed | interrupted:
+ * - success: every record was delivered
+ * - partial: the run finished but the portal rejected some records
+ * - failed: the run stopped on an error or timeout
+ * - interrupted: the run was stopped by SIGINT/SIGTERM
+ * Any state can be reset to pending.
+ */
+export const SYNC_STATES = ['pending', 'running', 'success', 'partial', 'failed', 'interrupted'];
+
+const SYNC_TRANSITIONS = {
+    pending: ['running'],
+    // running → running restarts a run whose process died (the task lock guarantees it is gone)
+    running: ['running', 'success', 'partial', 'failed', 'interrupted'],
+    success: ['running'],
+    partial: ['running'],
+    failed: ['running'],
+    interrupted: ['running']
+};
+
+// A record that has been 'running' for longer than this is reported as stale
+const SYNC_STALE_RUNNING_MS = parseInt(process.env.SYNC_STALE_RUNNING_MS) || 6 * 60 * 60 * 1000; // 6 hours
 
-const SYNC_DATA_FILE = join(__dirname, '..', 'data', 'integration_last_sync.json');
+// Runs kept in the history of each sync record
+const SYNC_HISTORY_LIMIT = parseInt(process.env.SYNC_HISTORY_LIMIT) || 50;
+
+// Run statuses that count as failures in the history trend
+const FAILED_RUN_STATUSES = ['failed', 'timeout', 'config_error'];
+
+const SYNC_STORES = {
+    json: jsonSyncStore,
+    postgres: postgresSyncStore
+};
 
 /**
- * Load sync data from the JSON file
- * @returns {Promise<Object>} The sync data object
+ * Get the name of the sync tracker backend
+ * JSON unless SYNC_TRACKER_BACKEND=postgres: a configured database (DB_HOST/DB_NAME, also used for
+ * integration logs) does not switch the backend, since an empty table would start a full resync.
+ * @returns {string} 'postgres' or 'json'
+ * @throws {ConfigurationError} If SYNC_TRACKER_BACKEND is not a known backend
  */
-async function loadSyncData() {
-    try {
-        const data = await readFile(SYNC_DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist, return default structure
-            return {
-                sync_records: [],
-                metadata: {
-                    created_at: new Date().toISOString(),
-                    version: "1.0.0",
-                    description: "Integration sync tracking for NCDEX scheduler utility"
-                }
-            };
-        }
-        throw new Error(`Failed to load sync data: ${error.message}`);
+export function getSyncBackendName() {
+    const backend = (process.env.SYNC_TRACKER_BACKEND || 'json').toLowerCase();
+
+    if (!SYNC_STORES[backend]) {
+        throw new ConfigurationError(`Unknown SYNC_TRACKER_BACKEND '${backend}' (expected: ${Object.keys(SYNC_STORES).join(', ')})`);
+    }
+    if (backend === 'postgres' && !isDatabaseConfigured()) {
+        throw new ConfigurationError('SYNC_TRACKER_BACKEND=postgres requires the database to be configured (DB_HOST/DB_NAME)');
     }
+    return backend;
 }
 
 /**
- * Save sync data to the JSON file
- * @param {Object} syncData - The sync data object to save
+ * Get the store of the selected backend
+ * @returns {Object} Store module (findSyncRecord, listSyncRecords, insertSyncRecord, ...)
  */
-async function saveSyncData(syncData) {
-    try {
-        await writeFile(SYNC_DATA_FILE, JSON.stringify(syncData, null, 2), 'utf8');
-    } catch (error) {
-        throw new Error(`Failed to save sync data: ${error.message}`);
+function getSyncStore() {
+    return SYNC_STORES[getSyncBackendName()];
+}
+
+/**
+ * Check that a sync record may move to a status
+ * Statuses written before the state machine existed (e.g. 'completed') count as finished runs.
+ * @param {Object} record - Current sync record
+ * @param {string} status - New status
+ * @throws {Error} If the status is unknown or the transition is not allowed
+ */
+function assertSyncTransition(record, status) {
+    if (!SYNC_STATES.includes(status)) {
+        throw new Error(`Invalid sync status '${status}' for ${record.module_name} (expected: ${SYNC_STATES.join(', ')})`);
+    }
+
+    const current = SYNC_STATES.includes(record.status) ? record.status : 'success';
+    if (status !== 'pending' && !SYNC_TRANSITIONS[current].includes(status)) {
+        throw new Error(`Invalid sync status transition for ${record.module_name}: ${current} → ${status}`);
+    }
+}
+
+/**
+ * Apply an update to a sync record
+ * @param {Object} record - Current sync record
+ * @param {Object} updateData - Data to update (see updateSyncRecord)
+ * @returns {Object} Updated record
+ */
+function applySyncRecordUpdate(record, updateData) {
+    if (updateData.status !== undefined) {
+        assertSyncTransition(record, updateData.status);
+    }
+
+    // The watermark date and its tiebreaker id always change together
+    const watermarkChanged = updateData.last_sync_at !== undefined;
+
+    return {
+        ...record,
+        ...updateData,
+        // The state of a backfill running alongside is not part of the incremental run's metadata
+        ...(updateData.metadata && record.metadata?.backfill && {
+            metadata: { ...updateData.metadata, backfill: record.metadata.backfill }
+        }),
+        updated_at: new Date().toISOString(),
+        last_sync_at: watermarkChanged ? updateData.last_sync_at : record.last_sync_at,
+        last_sync_id: watermarkChanged ? (updateData.last_sync_id ?? null) : (record.last_sync_id ?? null)
+    };
+}
+
+/**
+ * Apply an update made by a backfill window run to a sync record
+ * Backfill windows keep their run state in metadata.backfill, so a failed or interrupted window
+ * never changes the status, metadata or watermark of the module's incremental sync.
+ * @param {Object} record - Current sync record
+ * @param {Object} updateData - Data to update (see updateSyncRecord; watermark fields are ignored)
+ * @returns {Object} Updated record
+ */
+function applyBackfillUpdate(record, updateData) {
+    const backfill = record.metadata?.backfill || {};
+    if (updateData.status !== undefined) {
+        assertSyncTransition({ module_name: `${record.module_name} backfill`, status: backfill.status || 'pending' }, updateData.status);
     }
+
+    return {
+        ...record,
+        updated_at: new Date().toISOString(),
+        metadata: {
+            ...record.metadata,
+            backfill: {
+                status: updateData.status ?? backfill.status ?? null,
+                started_at: updateData.started_at ?? backfill.started_at ?? null,
+                ...(updateData.metadata || {})
+            }
+        }
+    };
+}
+
+/**
+ * Check whether the caller runs as a window of a backfill (see utils/backfill.js)
+ * @returns {boolean} True inside a backfill window run
+ */
+function isBackfillRun() {
+    return getRunContext()?.backfill === true;
 }
 
 /**
@@ -54,46 +161,70 @@ async function saveSyncData(syncData) {
  * @returns {Promise<Object|null>} The sync record or null if not found
  */
 export async function getSyncRecord(identifier) {
-    const syncData = await loadSyncData();
-    
-    return syncData.sync_records.find(record => 
-        record.module_name === identifier || 
-        record.integration_name === identifier
-    ) || null;
+    return await getSyncStore().findSyncRecord(identifier);
 }
 
 /**
  * Update sync record with new sync information
  * @param {string} identifier - Module name or integration name
  * @param {Object} updateData - Data to update
- * @param {string} updateData.status - Sync status (success, failed, pending)
- * @param {string} updateData.last_sync_at - ISO timestamp of last sync
+ * @param {string} updateData.status - Sync status, must be a valid transition (see SYNC_STATES)
+ * @param {string} updateData.started_at - When the current run started (set by startSyncRun)
+ * @param {string} updateData.last_sync_at - Watermark: date_modified of the newest delivered record
+ *   (undefined keeps the current watermark, null clears it)
+ * @param {string} updateData.last_sync_id - Id of that record, the tiebreaker for records sharing its date_modified
  * @param {Object} updateData.metadata - Additional metadata
+ * Inside a backfill window run the update goes to metadata.backfill instead (see applyBackfillUpdate).
+ * @throws {Error} If the record does not exist or the status transition is not allowed
  */
 export async function updateSyncRecord(identifier, updateData = {}) {
-    const syncData = await loadSyncData();
-    const recordIndex = syncData.sync_records.findIndex(record => 
-        record.module_name === identifier || 
-        record.integration_name === identifier
-    );
+    const apply = isBackfillRun() ? applyBackfillUpdate : applySyncRecordUpdate;
+    return await getSyncStore().modifySyncRecord(identifier, record => apply(record, updateData));
+}
 
-    if (recordIndex === -1) {
-        throw new Error(`Sync record not found for identifier: ${identifier}`);
+/**
+ * Mark the start of a sync run (status 'running', started_at now)
+ * A record still 'running' belongs to a run whose process died; it is logged and taken over.
+ * Backfill window runs mark metadata.backfill instead (see updateSyncRecord).
+ * @param {string} identifier - Module name or integration name
+ * @returns {Promise<Object>} The updated sync record
+ * @throws {ConfigurationError} If the module has no sync record (a run without a watermark
+ *   would resend every record and could never save its progress)
+ */
+export async function startSyncRun(identifier) {
+    const record = await getSyncRecord(identifier);
+    if (!record) {
+        const hint = getSyncBackendName() === 'postgres' ? 'import the JSON sync records with sync-import, or create it with manageSync create' : 'create it with manageSync create';
+        throw new ConfigurationError(`No sync record for module '${identifier}' - ${hint}`);
     }
 
-    const now = new Date().toISOString();
-    const record = syncData.sync_records[recordIndex];
+    const run = isBackfillRun() ? record.metadata?.backfill || {} : record;
+    if (run.status === 'running') {
+        console.log(`⚠️  Previous ${record.module_name} run (started ${run.started_at || 'at an unknown time'}) never finished - taking over`);
+        await Logger.warn('Sync record was left running by a previous run', {
+            module: record.module_name,
+            startedAt: run.started_at || null
+        });
+    }
 
-    // Update the record
-    syncData.sync_records[recordIndex] = {
-        ...record,
-        ...updateData,
-        updated_at: now,
-        last_sync_at: updateData.last_sync_at || record.last_sync_at
-    };
+    return await updateSyncRecord(identifier, {
+        status: 'running',
+        started_at: new Date().toISOString()
+    });
+}
 
-    await saveSyncData(syncData);
-    return syncData.sync_records[recordIndex];
+/**
+ * Check whether a sync record has been 'running' for longer than SYNC_STALE_RUNNING_MS
+ * @param {Object} record - Sync record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the run most likely died without recording its outcome
+ */
+export function isStaleSyncRun(record, now = Date.now()) {
+    if (record.status !== 'running') {
+        return false;
+    }
+    const startedAt = new Date(record.started_at).getTime();
+    return Number.isNaN(startedAt) || now - startedAt > SYNC_STALE_RUNNING_MS;
 }
 
 /**
@@ -106,32 +237,21 @@ export async function updateSyncRecord(identifier, updateData = {}) {
  * @param {string} recordData.status - Initial status (default: pending)
  */
 export async function createSyncRecord(recordData) {
-    const syncData = await loadSyncData();
-    const now = new Date().toISOString();
+    const status = recordData.status || 'pending';
+    if (!SYNC_STATES.includes(status)) {
+        throw new Error(`Invalid sync status '${status}' (expected: ${SYNC_STATES.join(', ')})`);
+    }
 
-    const newRecord = {
+    return await getSyncStore().insertSyncRecord({
         module_name: recordData.module_name,
         integration_name: recordData.integration_name,
         direction: recordData.direction,
         endpoint: recordData.endpoint || null,
         last_sync_at: null,
-        updated_at: now,
-        status: recordData.status || 'pending'
-    };
-
-    // Check if record already exists
-    const existingIndex = syncData.sync_records.findIndex(record => 
-        record.module_name === recordData.module_name || 
-        record.integration_name === recordData.integration_name
-    );
-
-    if (existingIndex !== -1) {
-        throw new Error(`Sync record already exists for module: ${recordData.module_name} or integration: ${recordData.integration_name}`);
-    }
-
-    syncData.sync_records.push(newRecord);
-    await saveSyncData(syncData);
-    return newRecord;
+        last_sync_id: null,
+        updated_at: new Date().toISOString(),
+        status
+    });
 }
 
 /**
@@ -139,18 +259,17 @@ export async function createSyncRecord(recordData) {
  * @returns {Promise<Array>} Array of all sync records
  */
 export async function getAllSyncRecords() {
-    const syncData = await loadSyncData();
-    return syncData.sync_records;
+    return await getSyncStore().listSyncRecords();
 }
 
 /**
  * Get sync records by status
- * @param {string} status - Status to filter by (success, failed, pending)
+ * @param {string} status - Status to filter by (see SYNC_STATES)
  * @returns {Promise<Array>} Array of sync records with the specified status
  */
 export async function getSyncRecordsByStatus(status) {
-    const syncData = await loadSyncData();
-    return syncData.sync_records.filter(record => record.status === status);
+    const records = await getAllSyncRecords();
+    return records.filter(record => record.status === status);
 }
 
 /**
@@ -159,8 +278,8 @@ export async function getSyncRecordsByStatus(status) {
  * @returns {Promise<Array>} Array of sync records with the specified direction
  */
 export async function getSyncRecordsByDirection(direction) {
-    const syncData = await loadSyncData();
-    return syncData.sync_records.filter(record => record.direction === direction);
+    const records = await getAllSyncRecords();
+    return records.filter(record => record.direction === direction);
 }
 
 /**
@@ -168,35 +287,29 @@ export async function getSyncRecordsByDirection(direction) {
  * @param {string} identifier - Module name or integration name
  */
 export async function deleteSyncRecord(identifier) {
-    const syncData = await loadSyncData();
-    const recordIndex = syncData.sync_records.findIndex(record => 
-        record.module_name === identifier || 
-        record.integration_name === identifier
-    );
-
-    if (recordIndex === -1) {
-        throw new Error(`Sync record not found for identifier: ${identifier}`);
-    }
-
-    syncData.sync_records.splice(recordIndex, 1);
-    await saveSyncData(syncData);
+    await getSyncStore().removeSyncRecord(identifier);
 }
 
 /**
  * Get sync statistics
- * @returns {Promise<Object>} Statistics about sync records
+ * @returns {Promise<Object>} Statistics about sync records (by_status counts every state;
+ *   stale_running lists the modules whose run has been 'running' for too long)
  */
 export async function getSyncStatistics() {
-    const syncData = await loadSyncData();
-    const records = syncData.sync_records;
+    const records = await getAllSyncRecords();
+
+    // Every state is reported, plus any status written before the state machine existed
+    const byStatus = Object.fromEntries(SYNC_STATES.map(status => [status, 0]));
+    records.forEach(record => {
+        const status = record.status || 'unknown';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+    });
 
     const stats = {
+        backend: getSyncBackendName(),
         total_records: records.length,
-        by_status: {
-            success: records.filter(r => r.status === 'success').length,
-            failed: records.filter(r => r.status === 'failed').length,
-            pending: records.filter(r => r.status === 'pending').length
-        },
+        by_status: byStatus,
+        stale_running: records.filter(record => isStaleSyncRun(record)).map(record => record.module_name),
         by_direction: {
             inbound: records.filter(r => r.direction === 'inbound').length,
             outbound: records.filter(r => r.direction === 'outbound').length
@@ -212,15 +325,121 @@ export async function getSyncStatistics() {
  * Reset all sync records (set status to pending and clear last_sync_at)
  */
 export async function resetAllSyncRecords() {
-    const syncData = await loadSyncData();
     const now = new Date().toISOString();
 
-    syncData.sync_records = syncData.sync_records.map(record => ({
+    await getSyncStore().modifyAllSyncRecords(record => ({
         ...record,
         status: 'pending',
         last_sync_at: null,
+        last_sync_id: null,
         updated_at: now
     }));
+}
+
+/**
+ * Import the sync records of a JSON sync file into the integration_sync_state table (one-time migration)
+ * Modules that already have a row are skipped, so running it again never overwrites newer state.
+ * @param {string} filePath - JSON sync file (default: data/integration_last_sync.json)
+ * @returns {Promise<Object>} { imported: string[], skipped: string[] } module names
+ * @throws {ConfigurationError} If the database is not configured or the file does not exist
+ */
+export async function importJsonSyncRecords(filePath = jsonSyncStore.SYNC_DATA_FILE) {
+    if (!isDatabaseConfigured()) {
+        throw new ConfigurationError('Importing sync records needs the database to be configured (DB_HOST/DB_NAME)');
+    }
 
-    await saveSyncData(syncData);
+    try {
+        await access(filePath);
+    } catch {
+        throw new ConfigurationError(`Sync file not found: ${filePath}`);
+    }
+
+    const syncData = await jsonSyncStore.loadSyncData(filePath);
+    const summary = { imported: [], skipped: [] };
+
+    for (const record of syncData.sync_records || []) {
+        if (await postgresSyncStore.findSyncRecord(record.module_name)) {
+            summary.skipped.push(record.module_name);
+            continue;
+        }
+        await postgresSyncStore.insertSyncRecord(record);
+        summary.imported.push(record.module_name);
+    }
+
+    return summary;
+}
+
+/**
+ * Append a run to the history of a sync record (only the latest SYNC_HISTORY_LIMIT runs are kept)
+ * @param {string} identifier - Module name or integration name
+ * @param {Object} entry - Run summary
+ * @param {string} entry.run_id - Run id
+ * @param {string} entry.started_at - When the run started
+ * @param {string} entry.finished_at - When the run ended
+ * @param {string} entry.status - Run status (see utils/taskResult.js)
+ * @param {number} entry.duration_ms - Run duration
+ * @param {number|null} entry.fetched - Records fetched from SugarCRM
+ * @param {number|null} entry.sent - Records sent to the portal
+ * @param {number|null} entry.failed - Records the portal reported as failed
+ * @param {string|null} entry.watermark_used - Watermark the run started from
+ * @param {string|null} entry.watermark_after - Watermark after the run
+ * @returns {Promise<Object>} The updated sync record
+ */
+export async function addSyncHistoryEntry(identifier, entry) {
+    return await getSyncStore().modifySyncRecord(identifier, record => ({
+        ...record,
+        history: [...(record.history || []), entry].slice(-SYNC_HISTORY_LIMIT)
+    }));
+}
+
+/**
+ * Get the run history of a sync record
+ * @param {string} identifier - Module name or integration name
+ * @param {Object} options - Options
+ * @param {number} options.limit - Number of runs to return (default: all kept runs)
+ * @returns {Promise<Array>} History entries, newest first
+ * @throws {Error} If the record does not exist
+ */
+export async function getSyncHistory(identifier, { limit = null } = {}) {
+    const record = await getSyncRecord(identifier);
+
+    if (!record) {
+        throw new Error(`Sync record not found for identifier: ${identifier}`);
+    }
+
+    const history = [...(record.history || [])].reverse();
+    return limit ? history.slice(0, limit) : history;
+}
+
+/**
+ * Compute trend stats over a run history
+ * @param {Array} history - History entries (see getSyncHistory)
+ * @returns {Object} { runs, by_status, failure_rate, average_duration_ms, average_fetched,
+ *   average_sent, zero_fetch_runs, last_records_at }
+ */
+export function summarizeSyncHistory(history) {
+    const average = values => (values.length > 0
+        ? Math.round(values.reduce((total, value) => total + value, 0) / values.length)
+        : null);
+    const counted = field => history.map(entry => entry[field]).filter(value => typeof value === 'number');
+
+    const byStatus = {};
+    history.forEach(entry => {
+        byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    });
+
+    const failedRuns = history.filter(entry => FAILED_RUN_STATUSES.includes(entry.status)).length;
+    // History is newest first, so this is the most recent run that fetched anything
+    const lastWithRecords = history.find(entry => entry.fetched > 0);
+
+    return {
+        runs: history.length,
+        by_status: byStatus,
+        failure_rate: history.length > 0 ? failedRuns / history.length : null,
+        average_duration_ms: average(counted('duration_ms')),
+        average_fetched: average(counted('fetched')),
+        average_sent: average(counted('sent')),
+        zero_fetch_runs: history.filter(entry => entry.fetched === 0).length,
+        last_records_at: lastWithRecords?.started_at || null
+    };
 }
@@ -0,0 +1,126 @@
+/**
+ * Sync Watermark Utility
+ * The watermark of a module is the date_modified (plus id as a tiebreaker) of the newest
+ * record the scheduler delivered to the portal - never the wall clock of the host.
+ * Incremental runs start from the watermark minus the module's overlap window.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SYNC_OVERLAP_FILE = join(__dirname, '..', 'config', 'syncOverlap.json');
+
+let overlapConfig = null;
+
+/**
+ * Load config/syncOverlap.json (once per process)
+ * @returns {Object} { default, modules }
+ */
+function loadOverlapConfig() {
+    if (!overlapConfig) {
+        try {
+            const config = JSON.parse(readFileSync(SYNC_OVERLAP_FILE, 'utf8'));
+            overlapConfig = { default: config.default || {}, modules: config.modules || {} };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ConfigurationError(`Failed to load sync overlap settings: ${error.message}`);
+            }
+            overlapConfig = { default: {}, modules: {} };
+        }
+    }
+    return overlapConfig;
+}
+
+/**
+ * Get the overlap (lookback) window of a module
+ * Incremental runs re-read records modified this long before the watermark, to catch records
+ * whose date_modified is older than the time they became visible (long transactions, clock skew).
+ * @param {string} moduleName - Sync tracker module name
+ * @returns {number} Overlap in milliseconds (0: resume strictly after the watermark record)
+ */
+export function getOverlapMs(moduleName) {
+    const config = loadOverlapConfig();
+    const settings = { ...config.default, ...(config.modules[moduleName] || {}) };
+    const overlapSeconds = settings.overlapSeconds ?? 0;
+
+    if (typeof overlapSeconds !== 'number' || overlapSeconds < 0) {
+        throw new ConfigurationError(`Invalid overlapSeconds for module '${moduleName}' in config/syncOverlap.json: ${overlapSeconds}`);
+    }
+    return overlapSeconds * 1000;
+}
+
+/**
+ * Work out where an incremental run starts
+ * With an overlap window the run re-reads records modified since watermark - overlap.
+ * Without one it resumes right after the watermark record (keyset cursor, see iterateRecords).
+ * @param {Object|null} syncRecord - Sync tracker record (last_sync_at, last_sync_id)
+ * @param {string} moduleName - Sync tracker module name
+ * @returns {Object} { sinceDate: string|null, startAfter: Object|null, overlapMs: number }
+ */
+export function getSyncStartPoint(syncRecord, moduleName) {
+    const overlapMs = getOverlapMs(moduleName);
+
+    if (!syncRecord?.last_sync_at) {
+        return { sinceDate: null, startAfter: null, overlapMs };
+    }
+
+    if (overlapMs > 0) {
+        const sinceDate = new Date(new Date(syncRecord.last_sync_at).getTime() - overlapMs).toISOString();
+        console.log(`  ⏪ Overlap window: ${overlapMs / 1000}s before the watermark (${syncRecord.last_sync_at})`);
+        return { sinceDate, startAfter: null, overlapMs };
+    }
+
+    return {
+        sinceDate: syncRecord.last_sync_at,
+        startAfter: syncRecord.last_sync_id
+            ? { date_modified: syncRecord.last_sync_at, id: syncRecord.last_sync_id }
+            : null,
+        overlapMs
+    };
+}
+
+/**
+ * Compare two record positions by date_modified, then id
+ * @param {Object} a - { date_modified, id }
+ * @param {Object} b - { date_modified, id }
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+export function compareRecordPosition(a, b) {
+    const byDate = new Date(a.date_modified) - new Date(b.date_modified);
+    if (byDate !== 0) {
+        return byDate;
+    }
+    return String(a.id || '').localeCompare(String(b.id || ''));
+}
+
+/**
+ * Build the sync record fields that store a run's watermark
+ * Never moves the watermark backwards (e.g. after a --since run older than the watermark).
+ * @param {Object|null} position - Newest delivered record { date_modified, id } (see getCheckpoint)
+ * @param {Object|null} syncRecord - Current sync record (last_sync_at, last_sync_id)
+ * @returns {Object} { last_sync_at, last_sync_id }, both undefined to keep the current watermark
+ */
+export function buildWatermarkUpdate(position, syncRecord) {
+    const keep = { last_sync_at: undefined, last_sync_id: undefined };
+
+    if (!position?.date_modified) {
+        return keep;
+    }
+
+    if (syncRecord?.last_sync_at) {
+        const current = { date_modified: syncRecord.last_sync_at, id: syncRecord.last_sync_id };
+        if (compareRecordPosition(position, current) <= 0) {
+            return keep;
+        }
+    }
+
+    return {
+        last_sync_at: new Date(position.date_modified).toISOString(),
+        last_sync_id: position.id || null
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Task Catalog Utility
+ * Discovers task modules in /tasks and reads the metadata they export
+ */
+
+import { readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TASKS_DIR = join(__dirname, '..', 'tasks');
+
+/**
+ * List the names of all tasks in the /tasks directory
+ * @returns {Promise<Array<string>>} Task names
+ */
+export async function listTaskNames() {
+    const files = await readdir(TASKS_DIR);
+    return files
+        .filter(file => file.endsWith('.js'))
+        .map(file => file.replace('.js', ''))
+        .sort();
+}
+
+/**
+ * Import a task module and check that it exports a task function
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object>} The task module
+ */
+export async function loadTaskModule(taskName) {
+    const availableTasks = await listTaskNames();
+    if (!availableTasks.includes(taskName)) {
+        throw new ConfigurationError(`Task '${taskName}' not found in the /tasks directory`);
+    }
+
+    const taskModule = await import(`../tasks/${taskName}.js`);
+
+    // Check if the module has a default export (the task function)
+    if (typeof taskModule.default !== 'function') {
+        throw new ConfigurationError(`Task '${taskName}' does not export a default function`);
+    }
+
+    return taskModule;
+}
+
+/**
+ * Get the metadata a task exports alongside its default function
+ * Tasks without a `metadata` export get empty defaults.
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object>} Task metadata
+ * @property {string} description - What the task does
+ * @property {string} sugarModule - SugarCRM module the task reads from
+ * @property {string} portalEndpoint - Portal endpoint the task writes to
+ * @property {string} mappingKey - Key in config/fieldMappings.json
+ * @property {string} syncModule - Module name of the task's sync tracker record
+ * @property {Array<string>} dependencies - Tasks that must succeed first in a pipeline run
+ * @property {Array<string>} options - Supported command line options (see utils/cliArgs.js)
+ * @property {number|null} timeoutMs - Run timeout (null = use the default)
+ */
+export async function getTaskMetadata(taskName) {
+    const taskModule = await loadTaskModule(taskName);
+    const metadata = taskModule.metadata || {};
+
+    return {
+        name: taskName,
+        description: metadata.description || '',
+        sugarModule: metadata.sugarModule || null,
+        portalEndpoint: metadata.portalEndpoint || null,
+        mappingKey: metadata.mappingKey || null,
+        syncModule: metadata.syncModule || null,
+        dependencies: metadata.dependencies || [],
+        options: metadata.options || [],
+        timeoutMs: metadata.timeoutMs || null
+    };
+}
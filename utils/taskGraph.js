@@ -0,0 +1,152 @@
+/**
+ * Task Dependency Graph Utility
+ * Resolves task dependencies and runs ordered task pipelines
+ */
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { listTaskNames, getTaskMetadata } from './taskCatalog.js';
+import { ConfigurationError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TASK_GROUPS_FILE = join(__dirname, '..', 'config', 'taskGroups.json');
+
+// Prerequisite outcomes that let dependent tasks run (partial = some records failed in the portal)
+const SATISFIED_STATUSES = ['success', 'partial'];
+
+/**
+ * Load the named task groups from config/taskGroups.json
+ * @returns {Promise<Object>} Map of group name to array of task names
+ */
+export async function loadTaskGroups() {
+    try {
+        const configData = await readFile(TASK_GROUPS_FILE, 'utf8');
+        const config = JSON.parse(configData);
+        return config.groups || {};
+    } catch (error) {
+        throw new ConfigurationError(`Failed to load task groups: ${error.message}`);
+    }
+}
+
+/**
+ * Read the declared dependencies of each task
+ * Tasks declare prerequisites in their metadata: `export const metadata = { dependencies: ['OtherTask'] }`
+ * @param {Array<string>} taskNames - Task names
+ * @returns {Promise<Object>} Map of task name to array of dependency names
+ */
+export async function loadTaskDependencies(taskNames) {
+    const availableTasks = await listTaskNames();
+    const dependencyMap = {};
+
+    for (const taskName of taskNames) {
+        const { dependencies } = await getTaskMetadata(taskName);
+
+        if (!Array.isArray(dependencies)) {
+            throw new ConfigurationError(`Task '${taskName}' must declare dependencies as an array`);
+        }
+
+        const unknown = dependencies.filter(dependency => !availableTasks.includes(dependency));
+        if (unknown.length > 0) {
+            throw new ConfigurationError(`Task '${taskName}' depends on unknown task(s): ${unknown.join(', ')}`);
+        }
+
+        dependencyMap[taskName] = dependencies;
+    }
+
+    return dependencyMap;
+}
+
+/**
+ * Order tasks so that every task runs after its dependencies
+ * Dependencies that are not part of the selection are ignored.
+ * @param {Array<string>} taskNames - Selected task names
+ * @param {Object} dependencyMap - Map of task name to dependency names
+ * @returns {Array<string>} Task names in execution order
+ */
+export function resolveTaskOrder(taskNames, dependencyMap) {
+    const selected = new Set(taskNames);
+    const ordered = [];
+    const state = {}; // undefined = unvisited, 'visiting', 'done'
+
+    const visit = (taskName, path) => {
+        if (state[taskName] === 'done') {
+            return;
+        }
+        if (state[taskName] === 'visiting') {
+            throw new ConfigurationError(`Circular task dependency detected: ${[...path, taskName].join(' → ')}`);
+        }
+
+        state[taskName] = 'visiting';
+        for (const dependency of dependencyMap[taskName] || []) {
+            if (selected.has(dependency)) {
+                visit(dependency, [...path, taskName]);
+            }
+        }
+        state[taskName] = 'done';
+        ordered.push(taskName);
+    };
+
+    taskNames.forEach(taskName => visit(taskName, []));
+    return ordered;
+}
+
+/**
+ * Run tasks in dependency order, skipping tasks whose prerequisites did not succeed
+ * Result status is the task's own status (success, partial, failed, config_error, locked) or skipped
+ * @param {Array<string>} taskNames - Selected task names
+ * @param {Function} runTask - Async function that executes a task by name and returns its task result
+ * @returns {Promise<Array<Object>>} Result per task (taskName, status, duration, error, result)
+ */
+export async function runTaskPipeline(taskNames, runTask) {
+    const dependencyMap = await loadTaskDependencies(taskNames);
+    const order = resolveTaskOrder(taskNames, dependencyMap);
+    const selected = new Set(taskNames);
+    const results = new Map();
+
+    console.log(`📋 Execution order: ${order.join(' → ')}\n`);
+
+    for (const taskName of order) {
+        const blockedBy = (dependencyMap[taskName] || [])
+            .filter(dependency => selected.has(dependency))
+            // A task that is already running elsewhere does not count as a success for its dependents
+            .filter(dependency => !SATISFIED_STATUSES.includes(results.get(dependency).status));
+
+        if (blockedBy.length > 0) {
+            console.log(`⏭️  Skipping ${taskName}: prerequisite(s) did not succeed (${blockedBy.join(', ')})\n`);
+            results.set(taskName, {
+                taskName,
+                status: 'skipped',
+                duration: 0,
+                error: `Prerequisite(s) did not succeed: ${blockedBy.join(', ')}`,
+                result: null
+            });
+            continue;
+        }
+
+        const startTime = Date.now();
+        try {
+            const outcome = await runTask(taskName);
+            results.set(taskName, {
+                taskName,
+                status: outcome?.status || 'success',
+                duration: Date.now() - startTime,
+                error: outcome?.error?.message || null,
+                result: outcome || null
+            });
+        } catch (error) {
+            results.set(taskName, {
+                taskName,
+                status: 'failed',
+                duration: Date.now() - startTime,
+                error: error.message,
+                result: null
+            });
+        }
+        console.log('');
+    }
+
+    return order.map(taskName => results.get(taskName));
+}
@@ -0,0 +1,96 @@
+/**
+ * Task Lock Utility
+ * Prevents overlapping runs of the same task across processes and hosts
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getPool, isDatabaseConfigured } from './database.js';
+import { tryAcquireFileLock } from './fileLock.js';
+import Logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const LOCK_DIR = join(__dirname, '..', 'data', 'locks');
+const LOCK_NAMESPACE = 'ncdex-scheduler';
+
+/**
+ * Try to take a Postgres session-level advisory lock for a task
+ * The lock lives as long as the dedicated client connection is held.
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object|null>} Lock handle, or null if another session holds it
+ */
+async function tryAcquireAdvisoryLock(taskName) {
+    const lockKey = `${LOCK_NAMESPACE}:${taskName}`;
+    const client = await getPool().connect();
+
+    try {
+        const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockKey]);
+
+        if (!result.rows[0].locked) {
+            client.release();
+            return null;
+        }
+    } catch (error) {
+        client.release();
+        throw error;
+    }
+
+    return {
+        type: 'postgres',
+        key: lockKey,
+        async release() {
+            try {
+                await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]);
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+/**
+ * Try to take a lock file for a task
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object|null>} Lock handle, or null if another live process holds it
+ */
+async function tryAcquireLockFile(taskName) {
+    const lockPath = join(LOCK_DIR, `${taskName}.lock`);
+    const lock = await tryAcquireFileLock(lockPath, {
+        staleMs: parseInt(process.env.TASK_LOCK_STALE_MS) || undefined,
+        details: { task: taskName }
+    });
+
+    if (!lock) {
+        return null;
+    }
+
+    return {
+        type: 'file',
+        key: lockPath,
+        release: () => lock.release()
+    };
+}
+
+/**
+ * Acquire the per-task run lock
+ * Uses a Postgres advisory lock when the database is configured, otherwise a lock file.
+ * @param {string} taskName - Task name
+ * @returns {Promise<Object|null>} Lock handle with type, key and release(), or null if the task is already running
+ */
+export async function acquireTaskLock(taskName) {
+    if (isDatabaseConfigured()) {
+        try {
+            return await tryAcquireAdvisoryLock(taskName);
+        } catch (error) {
+            console.log(`  ⚠️  Database lock unavailable (${error.message}) - falling back to lock file`);
+            await Logger.warn('Database advisory lock unavailable, using lock file', {
+                taskName,
+                error: error.message
+            });
+        }
+    }
+
+    return await tryAcquireLockFile(taskName);
+}
@@ -0,0 +1,151 @@
+/**
+ * Task Result Utility
+ * Builds the structured result of a task run and writes it to data/runs/
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigurationError, TaskTimeoutError, TaskInterruptedError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RUNS_DIR = join(__dirname, '..', 'data', 'runs');
+
+// Portal internalStatus values that mean the record was not synced
+const PORTAL_FAILURE_STATUSES = ['Failed', 'Error'];
+
+/**
+ * Create empty record counts for a sync task run
+ * @returns {Object} { fetched, transformed, invalid, skipped_unchanged, sent, batch_failed, dead_lettered, portal_statuses }
+ */
+export function createSyncCounts() {
+    return {
+        fetched: 0,
+        transformed: 0,
+        invalid: 0,
+        skipped_unchanged: 0,
+        sent: 0,
+        batch_failed: 0,
+        dead_lettered: 0,
+        portal_statuses: {}
+    };
+}
+
+/**
+ * Count portal response records per internalStatus
+ * @param {Array} responseArray - Portal API response records
+ * @returns {Object} Map of internalStatus to record count
+ */
+export function countPortalStatuses(responseArray) {
+    return responseArray.reduce((counts, record) => {
+        counts[record.internalStatus] = (counts[record.internalStatus] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Add the portal statuses of one batch to a run's counts
+ * @param {Object} counts - Record counts from createSyncCounts
+ * @param {Array} responseArray - Portal API response records of the batch
+ * @returns {Object} Status counts of the batch
+ */
+export function addPortalStatuses(counts, responseArray) {
+    const batchCounts = countPortalStatuses(responseArray);
+    Object.entries(batchCounts).forEach(([status, count]) => {
+        counts.portal_statuses[status] = (counts.portal_statuses[status] || 0) + count;
+    });
+    return batchCounts;
+}
+
+/**
+ * Check whether a portal internalStatus means the record was not synced
+ * @param {string} status - Portal internalStatus
+ * @returns {boolean} True for failed records
+ */
+export function isPortalFailureStatus(status) {
+    return PORTAL_FAILURE_STATUSES.includes(status);
+}
+
+/**
+ * Count records that failed in the portal: reported as failed, or sent in a portal batch that failed
+ * @param {Object} counts - Record counts returned by a task
+ * @returns {number} Number of failed records
+ */
+export function countPortalFailures(counts) {
+    const portalStatuses = counts?.portal_statuses || {};
+    return PORTAL_FAILURE_STATUSES.reduce((total, status) => total + (portalStatuses[status] || 0), counts?.batch_failed || 0);
+}
+
+/**
+ * Get the status of a run that finished without an error
+ * @param {Object} counts - Run counts (see createSyncCounts)
+ * @returns {string} 'partial' if records failed in the portal, 'success' otherwise
+ */
+export function getCompletedRunStatus(counts) {
+    return countPortalFailures(counts) > 0 ? 'partial' : 'success';
+}
+
+/**
+ * Build the structured result of a task run
+ * Status is one of: success, partial (some records or portal batches failed in the portal),
+ * locked, config_error, timeout, interrupted (SIGINT/SIGTERM), failed.
+ * @param {string} taskName - Task name
+ * @param {Object} run - Run details
+ * @param {string} run.runId - Run id (task_runs.run_id)
+ * @param {Date} run.startTime - When the run started
+ * @param {Date} run.endTime - When the run finished
+ * @param {Object} run.options - Task options used for the run
+ * @param {Object} run.counts - Record counts returned by the task (omit if the task did not finish)
+ * @param {string} run.status - Force a status (e.g. 'locked'); derived from counts/error otherwise
+ * @param {Error} run.error - Error that ended the run
+ * @param {Object} run.rateLimits - Time spent waiting for the SugarCRM rate limiters, per budget
+ * @returns {Object} Task result
+ */
+export function buildTaskResult(taskName, run) {
+    const { runId = null, startTime, endTime = new Date(), options = {}, counts = null, error = null, rateLimits = {} } = run;
+
+    let status = run.status;
+    if (!status) {
+        if (error) {
+            if (error instanceof ConfigurationError) {
+                status = 'config_error';
+            } else if (error instanceof TaskTimeoutError) {
+                status = 'timeout';
+            } else if (error instanceof TaskInterruptedError) {
+                status = 'interrupted';
+            } else {
+                status = 'failed';
+            }
+        } else {
+            status = getCompletedRunStatus(counts);
+        }
+    }
+
+    return {
+        run_id: runId,
+        task: taskName,
+        status,
+        started_at: startTime.toISOString(),
+        finished_at: endTime.toISOString(),
+        duration_ms: endTime - startTime,
+        options,
+        counts,
+        rate_limits: rateLimits,
+        error: error ? { type: error.name, message: error.message } : null
+    };
+}
+
+/**
+ * Write a task result to data/runs/ (one file per run)
+ * @param {Object} result - Task result from buildTaskResult
+ * @returns {Promise<string>} Path of the written result file
+ */
+export async function writeTaskResult(result) {
+    await mkdir(RUNS_DIR, { recursive: true });
+    const fileName = `${result.task}-${result.started_at.replace(/[:.]/g, '-')}.json`;
+    const filePath = join(RUNS_DIR, fileName);
+    await writeFile(filePath, JSON.stringify(result, null, 2), 'utf8');
+    return filePath;
+}
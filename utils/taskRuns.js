@@ -0,0 +1,201 @@
+/**
+ * Task Run History Utility
+ * Records every task run in the task_runs PostgreSQL table
+ */
+
+import { hostname } from 'os';
+import { query, isDatabaseConfigured } from './database.js';
+import { countPortalFailures } from './taskResult.js';
+import { ConfigurationError } from './errors.js';
+import Logger from './logger.js';
+
+const SCHEMA_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS task_runs (
+        run_id UUID PRIMARY KEY,
+        task_name VARCHAR(255) NOT NULL,
+        args JSONB,
+        started_at TIMESTAMPTZ NOT NULL,
+        finished_at TIMESTAMPTZ,
+        duration_ms INTEGER,
+        status VARCHAR(32) NOT NULL,
+        records_fetched INTEGER,
+        records_sent INTEGER,
+        records_failed INTEGER,
+        watermark_before TIMESTAMPTZ,
+        watermark_after TIMESTAMPTZ,
+        host VARCHAR(255),
+        error_message TEXT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_task_runs_task_started ON task_runs (task_name, started_at DESC)',
+    // Ties the per-record portal results back to the run that produced them
+    'ALTER TABLE integration_logs ADD COLUMN IF NOT EXISTS run_id UUID'
+];
+
+let schemaReady = null;
+
+/**
+ * Create the task_runs table and the integration_logs.run_id column if they do not exist
+ * Runs once per process (a failed attempt is retried by the next call).
+ * @returns {Promise<boolean>} True if the schema is in place
+ */
+export async function ensureTaskRunsSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            for (const statement of SCHEMA_STATEMENTS) {
+                const result = await query(statement);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+            return true;
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
+/**
+ * Insert or update a task run row
+ * @param {Object} run - Column values
+ * @returns {Promise<boolean>} True if the row was written
+ */
+async function upsertTaskRun(run) {
+    if (!isDatabaseConfigured()) {
+        return false;
+    }
+
+    try {
+        await ensureTaskRunsSchema();
+
+        const result = await query(`
+            INSERT INTO task_runs (
+                run_id, task_name, args, started_at, finished_at, duration_ms, status,
+                records_fetched, records_sent, records_failed,
+                watermark_before, watermark_after, host, error_message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            ON CONFLICT (run_id) DO UPDATE SET
+                finished_at = EXCLUDED.finished_at,
+                duration_ms = EXCLUDED.duration_ms,
+                status = EXCLUDED.status,
+                records_fetched = EXCLUDED.records_fetched,
+                records_sent = EXCLUDED.records_sent,
+                records_failed = EXCLUDED.records_failed,
+                watermark_after = EXCLUDED.watermark_after,
+                error_message = EXCLUDED.error_message
+        `, [
+            run.runId,
+            run.taskName,
+            JSON.stringify(run.args || {}),
+            run.startedAt,
+            run.finishedAt || null,
+            run.durationMs ?? null,
+            run.status,
+            run.fetched ?? null,
+            run.sent ?? null,
+            run.failed ?? null,
+            run.watermarkBefore || null,
+            run.watermarkAfter || null,
+            hostname(),
+            run.errorMessage || null
+        ]);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return true;
+    } catch (error) {
+        console.log(`⚠️  Failed to record task run ${run.runId}: ${error.message}`);
+        await Logger.warn('Failed to record task run', {
+            runId: run.runId,
+            taskName: run.taskName,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+/**
+ * Record the start of a task run (status 'running')
+ * @param {Object} run - Run details
+ * @param {string} run.runId - Run id
+ * @param {string} run.taskName - Task name
+ * @param {Object} run.options - Task options
+ * @param {Date} run.startTime - When the run started
+ * @param {string} run.watermarkBefore - Sync watermark when the run started
+ * @returns {Promise<boolean>} True if the row was written
+ */
+export async function startTaskRun({ runId, taskName, options, startTime, watermarkBefore }) {
+    return await upsertTaskRun({
+        runId,
+        taskName,
+        args: options,
+        startedAt: startTime.toISOString(),
+        status: 'running',
+        watermarkBefore
+    });
+}
+
+/**
+ * Record the outcome of a task run
+ * Also records runs that never started (locked, unknown task).
+ * @param {Object} result - Task result (see utils/taskResult.js)
+ * @param {Object} watermarks - Sync watermark before and after the run
+ * @param {string} watermarks.watermarkBefore - Watermark when the run started
+ * @param {string} watermarks.watermarkAfter - Watermark when the run finished
+ * @returns {Promise<boolean>} True if the row was written
+ */
+export async function finishTaskRun(result, { watermarkBefore = null, watermarkAfter = null } = {}) {
+    return await upsertTaskRun({
+        runId: result.run_id,
+        taskName: result.task,
+        args: result.options,
+        startedAt: result.started_at,
+        finishedAt: result.finished_at,
+        durationMs: result.duration_ms,
+        status: result.status,
+        fetched: result.counts?.fetched,
+        sent: result.counts?.sent,
+        failed: result.counts ? countPortalFailures(result.counts) : null,
+        watermarkBefore,
+        watermarkAfter,
+        errorMessage: result.error?.message
+    });
+}
+
+/**
+ * Get the most recent task runs
+ * @param {Object} filters - Filter options
+ * @param {string} filters.taskName - Only runs of this task
+ * @param {number} filters.limit - Number of runs to return (default: 20)
+ * @returns {Promise<Array<Object>>} Task run rows, newest first
+ */
+export async function getTaskRuns({ taskName = null, limit = 20 } = {}) {
+    if (!isDatabaseConfigured()) {
+        throw new ConfigurationError('Task run history is stored in PostgreSQL - set DB_HOST/DB_NAME to query it');
+    }
+
+    await ensureTaskRunsSchema();
+
+    const params = [];
+    let whereClause = '';
+    if (taskName) {
+        params.push(taskName);
+        whereClause = 'WHERE task_name = $1';
+    }
+    params.push(limit);
+
+    const result = await query(`
+        SELECT *
+        FROM task_runs
+        ${whereClause}
+        ORDER BY started_at DESC
+        LIMIT $${params.length}
+    `, params);
+
+    if (!result.success) {
+        throw new Error(`Failed to query task runs: ${result.error}`);
+    }
+    return result.rows;
+}